@@ -1,5 +1,22 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+// Writing lastSeenAt on every request would be wasteful; once a minute is plenty for the device list.
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+// Shared by protect and the realtime socket so both accept exactly the same tokens.
+// Resolves to null when the user is gone or the token's session was revoked.
+const authenticateToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid) {
+        return null;
+    }
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+        return null;
+    }
+    const user = await User.findById(decoded.id);
+    return user ? { user, session } : null;
+};
 const protect = async (req, res, next) => {
     let token;
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -12,14 +29,19 @@ const protect = async (req, res, next) => {
         });
     }
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id);
-        if (!req.user) {
+        const auth = await authenticateToken(token);
+        if (!auth) {
             return res.status(401).json({
                 success: false,
-                message: 'User not-found'
+                message: 'Session is no longer valid'
             });
         }
+        req.user = auth.user;
+        req.sessionId = auth.session._id;
+        if (Date.now() - auth.session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+            auth.session.touch(req);
+            await auth.session.save();
+        }
         next();
     } catch (error) {
         return res.status(401).json({
@@ -28,4 +50,14 @@ const protect = async (req, res, next) => {
         });
     }
 };
-export { protect };
+// Use after protect on routes that publish content.
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user.emailVerified === false) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address first'
+        });
+    }
+    next();
+};
+export { protect, authenticateToken, requireVerifiedEmail };
@@ -0,0 +1,44 @@
+import multer from 'multer';
+import { SUPPORTED_FORMATS } from '../utils/images.js';
+
+const ALLOWED_MIME_TYPES = Object.values(SUPPORTED_FORMATS);
+const DEFAULT_MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+const imageFilter = (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(new Error('Only JPEG, PNG and WebP images are allowed'));
+    }
+    cb(null, true);
+};
+
+const uploadImage = (req, res, next) => {
+    const maxSize = parseInt(process.env.MAX_UPLOAD_SIZE) || DEFAULT_MAX_UPLOAD_SIZE;
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSize, files: 1 },
+        fileFilter: imageFilter
+    }).single('image');
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: `Image cannot exceed ${Math.round(maxSize / (1024 * 1024))} MB`
+            });
+        }
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Image file is required'
+            });
+        }
+        next();
+    });
+};
+
+export { uploadImage };
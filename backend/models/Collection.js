@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+// A named group of the owner's saved posts. Collections are private to their owner.
+const collectionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Provide a collection name'],
+        trim: true,
+        maxlength: [50, 'Collection name maxlength is 50 characters']
+    },
+    // Chosen cover; without one the most recently saved post stands in.
+    coverPost: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+collectionSchema.index({ user: 1, name: 1 }, { unique: true });
+const Collection = mongoose.model('Collection', collectionSchema);
+export default Collection;
@@ -12,11 +12,39 @@ const commentSchema = new mongoose.Schema({
     },
     text: {
         type: String,
-        required: [true, 'Write a commment'],
+        required: [function() { return !this.deleted; }, 'Write a commment'],
         maxlength: [1000, 'Comment length is not more than 1000 characters']
+    },
+    // Replies always point at a top-level comment, so threads are one level deep.
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    replyCount: {
+        type: Number,
+        default: 0
+    },
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Maintained with $inc alongside the Like collection so listings can sort by popularity.
+    likeCount: {
+        type: Number,
+        default: 0
+    },
+    // A deleted comment that still has replies stays as a placeholder so the thread reads in context.
+    deleted: {
+        type: Boolean,
+        default: false
     }
 }, {
     timestamps: true
 });
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ parent: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parent: 1, likeCount: -1, createdAt: -1 });
 const Comment = mongoose.model('Comment', commentSchema);
 export default Comment;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+const conversationSchema = new mongoose.Schema({
+    participants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }],
+    isGroup: {
+        type: Boolean,
+        default: false
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Group name maxlength is 100 characters'],
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastMessage: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        default: null
+    },
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.methods.hasParticipant = function(userId) {
+    return this.participants.some(p => (p._id || p).toString() === userId.toString());
+};
+const Conversation = mongoose.model('Conversation', conversationSchema);
+export default Conversation;
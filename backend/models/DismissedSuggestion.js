@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+// A "Suggested for you" account the user closed; it is never suggested to them again.
+const dismissedSuggestionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    dismissed: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+dismissedSuggestionSchema.index({ user: 1, dismissed: 1 }, { unique: true });
+const DismissedSuggestion = mongoose.model('DismissedSuggestion', dismissedSuggestionSchema);
+export default DismissedSuggestion;
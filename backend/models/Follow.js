@@ -14,5 +14,7 @@ const followSchema = new mongoose.Schema({
     timestamps: true
 });
 followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+followSchema.index({ following: 1, createdAt: -1, _id: -1 });
 const Follow = mongoose.model('Follow', followSchema);
 export default Follow;
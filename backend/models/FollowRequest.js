@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+// A pending follow of a private account. Approving it turns it into a Follow.
+const followRequestSchema = new mongoose.Schema({
+    requester: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, createdAt: -1 });
+const FollowRequest = mongoose.model('FollowRequest', followRequestSchema);
+export default FollowRequest;
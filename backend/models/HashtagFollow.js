@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+const hashtagFollowSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Normalized the same way as Post.hashtags
+    tag: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+hashtagFollowSchema.index({ user: 1, tag: 1 }, { unique: true });
+const HashtagFollow = mongoose.model('HashtagFollow', hashtagFollowSchema);
+export default HashtagFollow;
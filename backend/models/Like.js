@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+// One row per like. A like on a post has comment: null; a like on a comment also records the
+// comment's post so deleting the post can clear them all.
+const likeSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+likeSchema.index({ post: 1, comment: 1, user: 1 }, { unique: true });
+likeSchema.index({ user: 1, comment: 1, post: 1 });
+likeSchema.index({ comment: 1 });
+const Like = mongoose.model('Like', likeSchema);
+export default Like;
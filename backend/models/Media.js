@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+const variantSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number
+}, {
+    _id: false
+});
+const mediaSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null
+    },
+    story: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Story',
+        default: null
+    },
+    driver: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: Number,
+    width: Number,
+    height: Number,
+    variants: [variantSchema]
+}, {
+    timestamps: true
+});
+mediaSchema.methods.getVariantUrl = function(name) {
+    const variant = this.variants.find(v => v.name === name);
+    return variant ? variant.url : this.url;
+};
+const Media = mongoose.model('Media', mediaSchema);
+export default Media;
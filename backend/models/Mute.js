@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+// Muting is one-sided and never shown to the muted user.
+const muteSchema = new mongoose.Schema({
+    muter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    muted: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+muteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+const Mute = mongoose.model('Mute', muteSchema);
+export default Mute;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['like', 'comment', 'reply', 'follow', 'follow_request', 'follow_accept'],
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null
+    },
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    // Notifications sharing a key are shown as one entry, e.g. "alice and 4 others liked your post".
+    groupKey: {
+        type: String,
+        required: true
+    },
+    read: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, groupKey: 1, read: 1 });
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
@@ -1,10 +1,46 @@
 import mongoose from 'mongoose';
+const MAX_MEDIA_ITEMS = 10;
+const mediaItemSchema = new mongoose.Schema({
+    asset: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    thumbnailUrl: String,
+    alt: {
+        type: String,
+        maxlength: [300, 'Alt text maxlength is 300 characters'],
+        default: ''
+    },
+    width: Number,
+    height: Number
+}, {
+    _id: false
+});
+const captionVersionSchema = new mongoose.Schema({
+    caption: String,
+    // When this version was posted: the post's createdAt for the original, the edit time after that
+    writtenAt: Date
+}, {
+    _id: false
+});
 const postSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    media: {
+        type: [mediaItemSchema],
+        validate: [
+            items => items.length <= MAX_MEDIA_ITEMS,
+            `A post can have at most ${MAX_MEDIA_ITEMS} images`
+        ]
+    },
     imageUrl: {
         type: String,
         required: [true, 'Image URL']
@@ -14,17 +50,58 @@ const postSchema = new mongoose.Schema({
         maxlength: [2200, 'Caption maxlength is 2199 characters'],
         default: ''
     },
-    likes: [{
+    // Earlier captions, oldest first. Only loaded for the history endpoint.
+    captionHistory: {
+        type: [captionVersionSchema],
+        select: false,
+        default: []
+    },
+    // Last time the caption or alt text changed; null for posts never edited.
+    editedAt: {
+        type: Date,
+        default: null
+    },
+    commentsDisabled: {
+        type: Boolean,
+        default: false
+    },
+    // Maintained with $inc alongside the Like and Comment collections; scripts/reconcileCounters.js
+    // recomputes them if they ever drift.
+    likeCount: {
+        type: Number,
+        default: 0
+    },
+    commentCount: {
+        type: Number,
+        default: 0
+    },
+    // Normalized #tags from the caption, see utils/hashtags.js.
+    hashtags: {
+        type: [String],
+        default: []
+    },
+    // Users @mentioned in the caption, resolved when the caption is written.
+    mentions: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }]
 }, {
     timestamps: true
 });
-postSchema.virtual('likeCount').get(function() {
-    return this.likes.length;
-});
-postSchema.set('toJSON', { virtuals: true });
-postSchema.set('toObject', { virtuals: true });
+postSchema.index({ mentions: 1, createdAt: -1 });
+postSchema.index({ hashtags: 1, createdAt: -1 });
+postSchema.index({ hashtags: 1, likeCount: -1, createdAt: -1 });
+postSchema.index({ user: 1, createdAt: -1 });
+postSchema.index({ caption: 'text', hashtags: 'text' }, { name: 'post_search', weights: { hashtags: 3, caption: 1 } });
+// Posts created before carousels only have imageUrl, expose it as a single media item.
+const withLegacyMedia = (doc, ret) => {
+    if ((!ret.media || ret.media.length === 0) && ret.imageUrl) {
+        ret.media = [{ url: ret.imageUrl, thumbnailUrl: ret.imageUrl, alt: '' }];
+    }
+    return ret;
+};
+postSchema.set('toJSON', { virtuals: true, transform: withLegacyMedia });
+postSchema.set('toObject', { virtuals: true, transform: withLegacyMedia });
 const Post = mongoose.model('Post', postSchema);
+export { MAX_MEDIA_ITEMS };
 export default Post;
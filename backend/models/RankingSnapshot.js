@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+// Long enough for any one scrolling session; a cursor into an expired snapshot is rejected.
+const RANKING_SNAPSHOT_LIFETIME_SECONDS = 24 * 60 * 60;
+// The order a ranked listing had when the viewer loaded its first page. Later pages are read
+// from here by position, so scores that move while they scroll can't skip or repeat posts.
+const rankingSnapshotSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    listing: {
+        type: String,
+        enum: ['for_you', 'explore'],
+        required: true
+    },
+    posts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post'
+    }]
+}, {
+    timestamps: true
+});
+rankingSnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: RANKING_SNAPSHOT_LIFETIME_SECONDS });
+const RankingSnapshot = mongoose.model('RankingSnapshot', rankingSnapshotSchema);
+export default RankingSnapshot;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+// A bookmarked post. A post is saved at most once per user, either loose (inCollection null)
+// or in one of their collections.
+const savedPostSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    inCollection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+savedPostSchema.index({ user: 1, post: 1 }, { unique: true });
+savedPostSchema.index({ user: 1, createdAt: -1, _id: -1 });
+savedPostSchema.index({ user: 1, inCollection: 1, createdAt: -1, _id: -1 });
+savedPostSchema.index({ post: 1 });
+const SavedPost = mongoose.model('SavedPost', savedPostSchema);
+export default SavedPost;
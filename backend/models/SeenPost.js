@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+// Only posts this recent are ranked for the For You feed, so older records have nothing left to hide.
+const SEEN_POST_LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+// A post that scrolled into view in the viewer's For You feed; it isn't ranked for them again.
+const seenPostSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+seenPostSchema.index({ user: 1, post: 1 }, { unique: true });
+seenPostSchema.index({ createdAt: 1 }, { expireAfterSeconds: SEEN_POST_LIFETIME_SECONDS });
+const SeenPost = mongoose.model('SeenPost', seenPostSchema);
+export { SEEN_POST_LIFETIME_SECONDS };
+export default SeenPost;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Only the SHA-256 of the current refresh token is stored, rotated on every refresh.
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1 });
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+// The device details recorded each time the session is used, as an update for atomic writes.
+sessionSchema.statics.seenFrom = function(req) {
+    return {
+        lastSeenAt: new Date(),
+        userAgent: (req.get('user-agent') || '').slice(0, 500),
+        ip: req.ip || ''
+    };
+};
+sessionSchema.methods.touch = function(req) {
+    Object.assign(this, this.constructor.seenFrom(req));
+};
+sessionSchema.methods.revoke = function(reason) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+const STORY_LIFETIME_SECONDS = 24 * 60 * 60;
+const storySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    media: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media',
+        required: true
+    },
+    imageUrl: {
+        type: String,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    caption: {
+        type: String,
+        maxlength: [200, 'Story caption maxlength is 200 characters'],
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+storySchema.index({ createdAt: 1 }, { expireAfterSeconds: STORY_LIFETIME_SECONDS });
+storySchema.index({ user: 1, createdAt: -1 });
+// The TTL monitor only runs once a minute, so reads also filter on this cutoff.
+storySchema.statics.activeSince = function() {
+    return new Date(Date.now() - STORY_LIFETIME_SECONDS * 1000);
+};
+const Story = mongoose.model('Story', storySchema);
+export { STORY_LIFETIME_SECONDS };
+export default Story;
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import { STORY_LIFETIME_SECONDS } from './Story.js';
+const storyViewSchema = new mongoose.Schema({
+    story: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Story',
+        required: true
+    },
+    viewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+storyViewSchema.index({ story: 1, viewer: 1 }, { unique: true });
+storyViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: STORY_LIFETIME_SECONDS });
+const StoryView = mongoose.model('StoryView', storyViewSchema);
+export default StoryView;
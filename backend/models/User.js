@@ -1,6 +1,11 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { verifyTotp, hashRecoveryCode } from '../utils/twoFactor.js';
+const DEFAULT_RESET_TOKEN_MINUTES = 30;
+// Case-insensitive comparison used by the prefix indexes below; queries must pass the same collation.
+const SEARCH_COLLATION = { locale: 'en', strength: 2 };
 const userSchema = new mongoose.Schema({
     username: {
         type: String,
@@ -24,6 +29,12 @@ const userSchema = new mongoose.Schema({
         minlength: [8, 'Password must be at least 8 characters'],
         select: false
     },
+    displayName: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Display name maxlength is 50 characters'],
+        default: ''
+    },
     bio: {
         type: String,
         maxlength: [150, 'Bio maxlength is 150 characters'],
@@ -32,13 +43,96 @@ const userSchema = new mongoose.Schema({
     profilePicture: {
         type: String,
         default: 'https://via.placeholder.com/150'
+    },
+    isPrivate: {
+        type: Boolean,
+        default: false
+    },
+    // Denormalized counts, kept in step with $inc where follows and posts are created or removed.
+    followerCount: {
+        type: Number,
+        default: 0
+    },
+    followingCount: {
+        type: Number,
+        default: 0
+    },
+    postCount: {
+        type: Number,
+        default: 0
+    },
+    // No default: accounts created before verification existed have no value and are left unrestricted.
+    emailVerified: {
+        type: Boolean
+    },
+    // A requested email change waits here until the new address is confirmed.
+    pendingEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
+    verificationSentAt: {
+        type: Date,
+        select: false
+    },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Set during enrollment, promoted to twoFactorSecret once the first code checks out.
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorLastStep: {
+        type: Number,
+        select: false
+    },
+    recoveryCodeHashes: {
+        type: [String],
+        select: false
+    },
+    // The one login challenge that may still be answered; issuing a new one voids the last.
+    twoFactorChallengeId: {
+        type: String,
+        default: null,
+        select: false
+    },
+    twoFactorFailedAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    twoFactorLockedUntil: {
+        type: Date,
+        default: null,
+        select: false
+    },
+    resetPasswordTokenHash: {
+        type: String,
+        select: false
+    },
+    resetPasswordExpire: {
+        type: Date,
+        select: false
     }
 }, {
     timestamps: true
 });
+userSchema.index(
+    { username: 'text', displayName: 'text', bio: 'text' },
+    { name: 'user_search', weights: { username: 10, displayName: 5, bio: 1 } }
+);
+userSchema.index({ username: 1 }, { name: 'username_prefix', collation: SEARCH_COLLATION });
+userSchema.index({ displayName: 1 }, { name: 'displayName_prefix', collation: SEARCH_COLLATION });
 userSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -46,10 +140,34 @@ userSchema.pre('save', async function(next) {
 userSchema.methods.matchPassword = async function(enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
-userSchema.methods.getSignedJwtToken = function() {
-    return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
+userSchema.methods.getSignedJwtToken = function(sessionId) {
+    return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
         expiresIn: process.env.JWT_EXPIRE
     });
 };
+// Only the hash is stored; the raw token goes out in the reset email and is cleared once used.
+userSchema.methods.getResetPasswordToken = function() {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const minutes = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES) || DEFAULT_RESET_TOKEN_MINUTES;
+    this.resetPasswordTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.resetPasswordExpire = new Date(Date.now() + minutes * 60 * 1000);
+    return resetToken;
+};
+// Accepts an authenticator code or an unused recovery code. Needs the twoFactor fields selected;
+// marks the code as used but leaves saving to the caller. Returns 'totp', 'recovery' or null.
+userSchema.methods.useTwoFactorCode = function(code) {
+    const step = verifyTotp(this.twoFactorSecret, code, this.twoFactorLastStep ?? -1);
+    if (step !== null) {
+        this.twoFactorLastStep = step;
+        return 'totp';
+    }
+    const hash = hashRecoveryCode(code);
+    if (this.recoveryCodeHashes.includes(hash)) {
+        this.recoveryCodeHashes = this.recoveryCodeHashes.filter(h => h !== hash);
+        return 'recovery';
+    }
+    return null;
+};
 const User = mongoose.model('User', userSchema);
+export { SEARCH_COLLATION };
 export default User;
@@ -1,8 +1,24 @@
 import express from 'express';
+import crypto from 'crypto';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import { protect } from '../middleware/auth.js';
+import { sendMail, clientUrl } from '../utils/mail.js';
+import { sendVerificationEmail, verifyEmailToken } from '../utils/emailVerification.js';
+import {
+    MAX_CODE_ATTEMPTS,
+    LOCKOUT_MS,
+    generateChallengeId,
+    signChallengeToken,
+    verifyChallengeToken
+} from '../utils/twoFactor.js';
+import { createSession, rotateSession, revokeSessionByToken, revokeOtherSessions } from '../utils/sessions.js';
 const router = express.Router();
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const codeLockedResponse = (res, lockedUntil) => res.status(429).json({
+    success: false,
+    message: `Too many incorrect codes. Try again in ${Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000))} minutes.`
+});
 router.post('/signup', [
     body('username')
         .trim()
@@ -37,18 +53,26 @@ router.post('/signup', [
         const user = await User.create({
             username,
             email,
-            password
+            password,
+            emailVerified: false
         });
-        const token = user.getSignedJwtToken();
+        // A mail outage shouldn't block signup; the user can resend from the app
+        sendVerificationEmail(user).catch(error => console.error(error));
+        const { token, refreshToken } = await createSession(user, req);
         res.status(201).json({
             success: true,
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 username: user.username,
+                displayName: user.displayName,
                 email: user.email,
                 bio: user.bio,
-                profilePicture: user.profilePicture
+                profilePicture: user.profilePicture,
+                isPrivate: user.isPrivate,
+                emailVerified: user.emailVerified !== false,
+                pendingEmail: user.pendingEmail
             }
         });
     } catch (error) {
@@ -77,7 +101,7 @@ router.post('/login', [
             });
         }
         const { email, password } = req.body;
-        const user = await User.findOne({ email }).select('+password');
+        const user = await User.findOne({ email }).select('+password +twoFactorLockedUntil');
         if (!user) {
             return res.status(401).json({
                 success: false,
@@ -91,17 +115,344 @@ router.post('/login', [
                 message: 'Invalid credentials'
             });
         }
-        const token = user.getSignedJwtToken();
+        // With 2FA on, the password alone only earns a challenge to finish at /login/2fa
+        if (user.twoFactorEnabled) {
+            if (user.twoFactorLockedUntil > new Date()) {
+                return codeLockedResponse(res, user.twoFactorLockedUntil);
+            }
+            const challengeId = generateChallengeId();
+            await User.updateOne({ _id: user._id }, { twoFactorChallengeId: challengeId });
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user, challengeId)
+            });
+        }
+        const { token, refreshToken } = await createSession(user, req);
+        res.status(200).json({
+            success: true,
+            token,
+            refreshToken,
+            user: {
+                id: user._id,
+                username: user.username,
+                displayName: user.displayName,
+                email: user.email,
+                bio: user.bio,
+                profilePicture: user.profilePicture,
+                isPrivate: user.isPrivate,
+                emailVerified: user.emailVerified !== false,
+                pendingEmail: user.pendingEmail
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/login/2fa', [
+    body('challengeToken')
+        .isString()
+        .withMessage('provide the challenge token'),
+    body('code')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('provide an authentication code')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const challenge = verifyChallengeToken(req.body.challengeToken);
+        if (!challenge) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login expired, please enter your password again'
+            });
+        }
+        const current = await User.findById(challenge.id).select('+twoFactorChallengeId +twoFactorLockedUntil');
+        if (!current || !current.twoFactorEnabled || !challenge.jti || current.twoFactorChallengeId !== challenge.jti) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login expired, please enter your password again'
+            });
+        }
+        if (current.twoFactorLockedUntil > new Date()) {
+            return codeLockedResponse(res, current.twoFactorLockedUntil);
+        }
+        // Each guess claims an attempt before the code is checked, so parallel guesses can't
+        // get past the limit
+        const user = await User.findOneAndUpdate(
+            {
+                _id: current._id,
+                twoFactorChallengeId: challenge.jti,
+                twoFactorFailedAttempts: { $lt: MAX_CODE_ATTEMPTS }
+            },
+            { $inc: { twoFactorFailedAttempts: 1 } },
+            { new: true }
+        ).select('+twoFactorSecret +twoFactorLastStep +recoveryCodeHashes +twoFactorFailedAttempts');
+        if (!user) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many incorrect codes, please enter your password again'
+            });
+        }
+        const method = user.useTwoFactorCode(req.body.code);
+        if (!method) {
+            if (user.twoFactorFailedAttempts >= MAX_CODE_ATTEMPTS) {
+                const lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+                await User.updateOne({ _id: user._id }, {
+                    twoFactorChallengeId: null,
+                    twoFactorFailedAttempts: 0,
+                    twoFactorLockedUntil: lockedUntil
+                });
+                return codeLockedResponse(res, lockedUntil);
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+        user.twoFactorChallengeId = null;
+        user.twoFactorFailedAttempts = 0;
+        await user.save();
+        const { token, refreshToken } = await createSession(user, req);
         res.status(200).json({
             success: true,
             token,
+            refreshToken,
+            recoveryCodesRemaining: method === 'recovery' ? user.recoveryCodeHashes.length : undefined,
             user: {
                 id: user._id,
                 username: user.username,
+                displayName: user.displayName,
                 email: user.email,
                 bio: user.bio,
-                profilePicture: user.profilePicture
+                profilePicture: user.profilePicture,
+                isPrivate: user.isPrivate,
+                emailVerified: user.emailVerified !== false,
+                pendingEmail: user.pendingEmail
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/refresh', [
+    body('refreshToken')
+        .isString()
+        .withMessage('provide a refresh token')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const tokens = await rotateSession(req.body.refreshToken, req);
+        if (!tokens) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired, please log in again'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            ...tokens
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/logout', async (req, res) => {
+    try {
+        await revokeSessionByToken(req.body.refreshToken, 'logout');
+        res.status(200).json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/forgot-password', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('provide valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const user = await User.findOne({ email: req.body.email });
+        // Same response either way so the endpoint can't be used to probe for accounts
+        if (user) {
+            const resetToken = user.getResetPasswordToken();
+            await user.save();
+            const resetUrl = clientUrl(`/reset-password/${resetToken}`);
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your password',
+                    text: `Hi ${user.username},\n\nUse this link to reset your password:\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email.`
+                });
+            } catch (mailError) {
+                // Logged rather than reported, since only known emails get this far
+                console.error('Failed to send password reset email:', mailError);
+                user.resetPasswordTokenHash = undefined;
+                user.resetPasswordExpire = undefined;
+                await user.save();
+            }
+        }
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for that email, a reset link has been sent'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/reset-password/:token', [
+    body('password')
+        .isLength({ min: 8 })
+        .withMessage('Password min 8 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const resetPasswordTokenHash = crypto.createHash('sha256').update(req.params.token).digest('hex');
+        const user = await User.findOne({
+            resetPasswordTokenHash,
+            resetPasswordExpire: { $gt: new Date() }
+        });
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+        user.password = req.body.password;
+        user.resetPasswordTokenHash = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+        await revokeOtherSessions(user._id, null, 'password reset');
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/verify-email', [
+    body('token')
+        .isString()
+        .withMessage('provide a verification token')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const payload = verifyEmailToken(req.body.token);
+        const user = payload && await User.findById(payload.id);
+        if (!user || (payload.email !== user.email && payload.email !== user.pendingEmail)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+        if (payload.email === user.pendingEmail) {
+            const taken = await User.findOne({ email: payload.email, _id: { $ne: user._id } });
+            if (taken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'That email is already in use by another account'
+                });
             }
+            user.email = payload.email;
+            user.pendingEmail = null;
+        }
+        user.emailVerified = true;
+        await user.save();
+        res.status(200).json({
+            success: true,
+            message: 'Email verified',
+            email: user.email
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/resend-verification', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+verificationSentAt');
+        const email = user.pendingEmail || user.email;
+        if (!user.pendingEmail && user.emailVerified !== false) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+        if (user.verificationSentAt && Date.now() - user.verificationSentAt.getTime() < VERIFICATION_RESEND_INTERVAL_MS) {
+            return res.status(429).json({
+                success: false,
+                message: 'Please wait a minute before requesting another email'
+            });
+        }
+        await sendVerificationEmail(user, email);
+        user.verificationSentAt = new Date();
+        await user.save();
+        res.status(200).json({
+            success: true,
+            message: `Verification email sent to ${email}`
         });
     } catch (error) {
         console.error(error);
@@ -119,9 +470,13 @@ router.get('/me', protect, async (req, res) => {
             user: {
                 id: user._id,
                 username: user.username,
+                displayName: user.displayName,
                 email: user.email,
                 bio: user.bio,
                 profilePicture: user.profilePicture,
+                isPrivate: user.isPrivate,
+                emailVerified: user.emailVerified !== false,
+                pendingEmail: user.pendingEmail,
                 createdAt: user.createdAt
             }
         });
@@ -133,5 +488,51 @@ router.get('/me', protect, async (req, res) => {
         });
     }
 });
+router.put('/password', protect, [
+    body('currentPassword')
+        .exists()
+        .withMessage('provide your current password'),
+    body('newPassword')
+        .isLength({ min: 8 })
+        .withMessage('Password min 8 characters'),
+    body('signOutOthers')
+        .optional()
+        .isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const user = await User.findById(req.user.id).select('+password');
+        const isMatch = await user.matchPassword(req.body.currentPassword);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+        user.password = req.body.newPassword;
+        await user.save();
+        let signedOut = 0;
+        if (req.body.signOutOthers) {
+            signedOut = await revokeOtherSessions(user._id, req.sessionId, 'password change');
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Password updated',
+            signedOut
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 
 export default router;
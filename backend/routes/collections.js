@@ -0,0 +1,191 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Post from '../models/Post.js';
+import Collection from '../models/Collection.js';
+import SavedPost from '../models/SavedPost.js';
+import { protect } from '../middleware/auth.js';
+import { getBlockedUserIds, getHiddenPrivateUserIds } from '../utils/privacy.js';
+import { getCollectionSummaries } from '../utils/saved.js';
+import { parsePageCursor, pageSort, afterCursor, pageOf } from '../utils/cursor.js';
+const router = express.Router();
+const DUPLICATE_KEY = 11000;
+// Responds 404 and returns null unless the collection is the viewer's own; nobody else may see it
+const findOwnCollection = async (req, res) => {
+    const collection = mongoose.isValidObjectId(req.params.id)
+        ? await Collection.findOne({ _id: req.params.id, user: req.user._id })
+        : null;
+    if (!collection) {
+        res.status(404).json({
+            success: false,
+            message: 'Collection not found'
+        });
+    }
+    return collection;
+};
+const duplicateNameResponse = (res, name) => res.status(400).json({
+    success: false,
+    message: `You already have a collection named "${name}"`
+});
+const nameValidator = () => body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Collection name is required')
+    .isLength({ max: 50 })
+    .withMessage('Collection name cannot exceed 50 characters');
+router.get('/', protect, async (req, res) => {
+    try {
+        const { all, collections } = await getCollectionSummaries(req.user._id);
+        res.status(200).json({
+            success: true,
+            all,
+            collections
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/', protect, [nameValidator()], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const collection = await Collection.create({ user: req.user._id, name: req.body.name });
+        res.status(201).json({
+            success: true,
+            collection: { ...collection.toObject(), coverImage: null, postCount: 0 }
+        });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY) {
+            return duplicateNameResponse(res, req.body.name);
+        }
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+// Renames the collection and/or picks its cover; coverPostId null goes back to the newest saved post.
+router.patch('/:id', protect, [
+    nameValidator().optional(),
+    body('coverPostId')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('provide a valid post id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const collection = await findOwnCollection(req, res);
+        if (!collection) return;
+        if (req.body.name !== undefined) {
+            collection.name = req.body.name;
+        }
+        if (req.body.coverPostId !== undefined) {
+            const { coverPostId } = req.body;
+            if (coverPostId && !(await SavedPost.exists({ user: req.user._id, post: coverPostId, inCollection: collection._id }))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The cover must be a post saved in this collection'
+                });
+            }
+            collection.coverPost = coverPostId;
+        }
+        await collection.save();
+        res.status(200).json({
+            success: true,
+            collection
+        });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY) {
+            return duplicateNameResponse(res, req.body.name);
+        }
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+// Posts in a deleted collection stay saved, just no longer grouped
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const collection = await findOwnCollection(req, res);
+        if (!collection) return;
+        await SavedPost.updateMany({ user: req.user._id, inCollection: collection._id }, { $set: { inCollection: null } });
+        await collection.deleteOne();
+        res.status(200).json({
+            success: true,
+            message: 'Collection deleted'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+// Saved posts, newest save first. Pass "all" as the id for everything the user saved.
+router.get('/:id/posts', protect, async (req, res) => {
+    try {
+        const after = parsePageCursor(req.query.cursor);
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const filter = { user: req.user._id };
+        if (req.params.id !== 'all') {
+            const collection = await findOwnCollection(req, res);
+            if (!collection) return;
+            filter.inCollection = collection._id;
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 18, 50);
+        const saved = await SavedPost.find(afterCursor(filter, after))
+            .sort(pageSort())
+            .limit(limit + 1);
+        const { items, nextCursor } = pageOf(saved, limit);
+        // Posts stay saved while their author blocks the viewer or goes private, but are hidden meanwhile
+        const posts = await Post.find({ _id: { $in: items.map(s => s.post) } })
+            .populate('user', 'username profilePicture');
+        const authorIds = posts.map(post => post.user?._id).filter(Boolean);
+        const hiddenIds = [
+            ...await getBlockedUserIds(req.user._id),
+            ...await getHiddenPrivateUserIds(req.user._id, authorIds)
+        ];
+        const byId = new Map(posts
+            .filter(post => post.user && !hiddenIds.some(id => id.equals(post.user._id)))
+            .map(post => [post._id.toString(), post]));
+        res.status(200).json({
+            success: true,
+            items: items
+                .filter(s => byId.has(s.post.toString()))
+                .map(s => ({ ...byId.get(s.post.toString()).toObject(), savedTo: s.inCollection })),
+            nextCursor
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
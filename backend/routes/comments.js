@@ -1,27 +1,187 @@
 import express from 'express';
 import Comment from '../models/Comment.js';
+import Post from '../models/Post.js';
+import Like from '../models/Like.js';
 import { protect } from '../middleware/auth.js';
+import { retractNotification } from '../utils/notifications.js';
+import { publishToPost } from '../utils/realtime.js';
+import { addLike, removeLike, withCommentLikes } from '../utils/likes.js';
+import { getBlockedUserIds, isBlockedBetween, canViewPost, privateAccountResponse } from '../utils/privacy.js';
+import { parsePageCursor, pageSort, afterCursor, pageOf } from '../utils/cursor.js';
 const router = express.Router();
+const DEFAULT_REPLY_LIMIT = 10;
+const MAX_REPLY_LIMIT = 50;
+// Oldest first so a thread reads top to bottom
+const REPLY_ORDER = ['createdAt', '_id'];
+router.get('/:id/replies', protect, async (req, res) => {
+    try {
+        const after = req.query.cursor ? parsePageCursor(req.query.cursor, REPLY_ORDER) : null;
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_REPLY_LIMIT, MAX_REPLY_LIMIT);
+        const comment = await Comment.findById(req.params.id);
+        const post = comment && await Post.findById(comment.post);
+        if (!post || await isBlockedBetween(req.user._id, post.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+        if (!(await canViewPost(req.user._id, post))) {
+            return privateAccountResponse(res);
+        }
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const replies = await Comment.find(afterCursor({ parent: comment._id, user: { $nin: blockedIds } }, after, REPLY_ORDER, 1))
+            .populate('user', 'username profilePicture')
+            .populate('mentions', 'username')
+            .sort(pageSort(REPLY_ORDER, 1))
+            .limit(limit + 1);
+        const { items, nextCursor } = pageOf(replies, limit, REPLY_ORDER);
+        res.status(200).json({
+            success: true,
+            items: await withCommentLikes(req.user._id, items),
+            nextCursor
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+// Comments can be liked by anyone who can see them and isn't blocked by the commenter
+const findLikableComment = async (req, res) => {
+    const comment = await Comment.findById(req.params.id);
+    const post = comment && !comment.deleted && await Post.findById(comment.post);
+    if (!post || await isBlockedBetween(req.user._id, post.user) || await isBlockedBetween(req.user._id, comment.user)) {
+        res.status(404).json({
+            success: false,
+            message: 'Comment not found'
+        });
+        return null;
+    }
+    if (!(await canViewPost(req.user._id, post))) {
+        privateAccountResponse(res);
+        return null;
+    }
+    return comment;
+};
+router.post('/:id/like', protect, async (req, res) => {
+    try {
+        const comment = await findLikableComment(req, res);
+        if (!comment) return;
+        const likeCount = await addLike(req.user._id, { post: comment.post, comment: comment._id });
+        if (likeCount === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already liked this comment'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Comment liked successfully',
+            likeCount
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id/like', protect, async (req, res) => {
+    try {
+        const comment = await Comment.findById(req.params.id).select('post');
+        const likeCount = comment ? await removeLike(req.user._id, { post: comment.post, comment: comment._id }) : null;
+        if (likeCount === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have not liked this comment'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Comment unliked successfully',
+            likeCount
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 router.delete('/:id', protect, async (req, res) => {
     try {
         const comment = await Comment.findById(req.params.id);
 
-        if (!comment) {
+        if (!comment || comment.deleted) {
             return res.status(404).json({
                 success: false,
                 message: 'Comment not found'
             });
         }
-        if (comment.user.toString() !== req.user.id) {
+        // Post owners moderate the comments on their posts
+        const post = await Post.findById(comment.post).select('user');
+        const isPostOwner = post && post.user.toString() === req.user.id;
+        if (comment.user.toString() !== req.user.id && !isPostOwner) {
             return res.status(401).json({
                 success: false,
                 message: 'Not owner of this comment to delete this'
             });
         }
-        await comment.deleteOne();
+        // Two deletes of the same comment can race, so whichever claims it first does the
+        // cleanup and the counters only move once
+        let placeholder = false;
+        let claimed = null;
+        if (comment.replyCount <= 0) {
+            claimed = await Comment.findOneAndDelete({ _id: comment._id, deleted: { $ne: true }, replyCount: { $lte: 0 } });
+        }
+        if (!claimed) {
+            // Comments with replies (including one that just arrived) stay as a placeholder
+            claimed = await Comment.findOneAndUpdate(
+                { _id: comment._id, deleted: { $ne: true } },
+                { $set: { deleted: true, text: '', mentions: [], likeCount: 0 } },
+                { new: true }
+            );
+            placeholder = !!claimed;
+        }
+        if (!claimed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+        if (!placeholder && comment.parent) {
+            const parent = await Comment.findByIdAndUpdate(
+                comment.parent,
+                { $inc: { replyCount: -1 } },
+                { new: true }
+            );
+            // The placeholder has served its purpose once its last reply is gone
+            if (parent && parent.deleted && parent.replyCount <= 0) {
+                await parent.deleteOne();
+            }
+        }
+        await Like.deleteMany({ comment: comment._id });
+        await retractNotification({ comment: comment._id });
+        // Placeholders don't count as comments, so either way the post has one fewer
+        const updatedPost = await Post.findByIdAndUpdate(comment.post, { $inc: { commentCount: -1 } }, { new: true })
+            .select('commentCount');
+        if (updatedPost) {
+            publishToPost(comment.post, 'post:update', { postId: comment.post, commentCount: updatedPost.commentCount });
+        }
         res.status(200).json({
             success: true,
-            message: 'Comment deleted successfully'
+            message: 'Comment deleted successfully',
+            placeholder
         });
     } catch (error) {
         console.error(error);
@@ -0,0 +1,336 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { body, validationResult } from 'express-validator';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import { protect } from '../middleware/auth.js';
+import { getBlockedUserIds, isBlockedBetween, canViewPost } from '../utils/privacy.js';
+const router = express.Router();
+const MAX_GROUP_SIZE = 32;
+const MESSAGE_POPULATE = [
+    { path: 'sender', select: 'username profilePicture' },
+    {
+        path: 'post',
+        select: 'imageUrl media caption user',
+        populate: { path: 'user', select: 'username profilePicture' }
+    }
+];
+// A shared post has to be visible to the sender and to everyone it's shared with: nobody on
+// either side of a block with its author, and only followers for a private account.
+const canSeeSharedPost = async (userId, post) => !(await isBlockedBetween(userId, post.user._id || post.user))
+    && canViewPost(userId, post);
+// Checked again whenever messages are read, since the author may have blocked the viewer or gone
+// private since the post was shared. Posts the viewer can't see come back as null, like deleted ones.
+const withVisibleSharedPosts = async (viewerId, messages) => {
+    const visibleByAuthor = new Map();
+    const result = [];
+    for (const message of messages) {
+        const plain = message.toObject();
+        if (message.post && !message.post.user) {
+            plain.post = null;
+        } else if (message.post) {
+            const authorId = message.post.user._id.toString();
+            if (!visibleByAuthor.has(authorId)) {
+                visibleByAuthor.set(authorId, await canSeeSharedPost(viewerId, message.post));
+            }
+            if (!visibleByAuthor.get(authorId)) {
+                plain.post = null;
+            }
+        }
+        result.push(plain);
+    }
+    return result;
+};
+// A one-to-one thread disappears for both people while either has blocked the other.
+const isBlockedDirectThread = async (userId, conversation) => {
+    if (conversation.isGroup) {
+        return false;
+    }
+    const other = conversation.participants.find(p => (p._id || p).toString() !== userId.toString());
+    return !!other && isBlockedBetween(userId, other._id || other);
+};
+// The viewer's conversations, leaving out one-to-one threads with blocked users.
+const visibleConversationsFilter = async (userId) => ({
+    participants: userId,
+    $nor: [{ isGroup: false, participants: { $in: await getBlockedUserIds(userId) } }]
+});
+// Loads the conversation and hides it from anyone who is not a participant.
+const requireParticipant = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+        const conversation = await Conversation.findById(req.params.id);
+        if (!conversation || !conversation.hasParticipant(req.user.id)
+            || await isBlockedDirectThread(req.user._id, conversation)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+        req.conversation = conversation;
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+router.get('/', protect, async (req, res) => {
+    try {
+        const conversations = await Conversation.find(await visibleConversationsFilter(req.user._id))
+            .populate('participants', 'username profilePicture')
+            .populate({ path: 'lastMessage', populate: { path: 'sender', select: 'username' } })
+            .sort({ lastMessageAt: -1 });
+        const unread = await Message.aggregate([
+            {
+                $match: {
+                    conversation: { $in: conversations.map(c => c._id) },
+                    sender: { $ne: new mongoose.Types.ObjectId(req.user.id) },
+                    'readBy.user': { $ne: new mongoose.Types.ObjectId(req.user.id) }
+                }
+            },
+            { $group: { _id: '$conversation', count: { $sum: 1 } } }
+        ]);
+        const unreadByConversation = new Map(unread.map(u => [u._id.toString(), u.count]));
+        res.status(200).json({
+            success: true,
+            conversations: conversations.map(c => ({
+                ...c.toObject(),
+                unreadCount: unreadByConversation.get(c._id.toString()) || 0
+            }))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/unread-count', protect, async (req, res) => {
+    try {
+        const conversations = await Conversation.find(await visibleConversationsFilter(req.user._id)).select('_id');
+        const unreadConversations = await Message.distinct('conversation', {
+            conversation: { $in: conversations.map(c => c._id) },
+            sender: { $ne: req.user.id },
+            'readBy.user': { $ne: req.user.id }
+        });
+        res.status(200).json({
+            success: true,
+            count: unreadConversations.length
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/', protect, [
+    body('participantIds')
+        .isArray({ min: 1, max: MAX_GROUP_SIZE - 1 })
+        .withMessage(`Choose between 1 and ${MAX_GROUP_SIZE - 1} people`),
+    body('participantIds.*')
+        .isMongoId()
+        .withMessage('provide valid user ids'),
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Group name cannot exceed 100 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const participantIds = [...new Set(req.body.participantIds.filter(id => id !== req.user.id))];
+        if (participantIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot message yourself'
+            });
+        }
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const userCount = await User.countDocuments({ _id: { $in: participantIds, $nin: blockedIds } });
+        if (userCount !== participantIds.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        const isGroup = participantIds.length > 1;
+        if (!isGroup) {
+            const existing = await Conversation.findOne({
+                isGroup: false,
+                participants: { $all: [req.user.id, participantIds[0]], $size: 2 }
+            }).populate('participants', 'username profilePicture');
+            if (existing) {
+                return res.status(200).json({
+                    success: true,
+                    conversation: existing
+                });
+            }
+        }
+        const conversation = await Conversation.create({
+            participants: [req.user.id, ...participantIds],
+            isGroup,
+            name: isGroup ? (req.body.name || '') : '',
+            createdBy: req.user.id
+        });
+        await conversation.populate('participants', 'username profilePicture');
+        res.status(201).json({
+            success: true,
+            conversation
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/:id', protect, requireParticipant, async (req, res) => {
+    try {
+        await req.conversation.populate('participants', 'username profilePicture');
+        res.status(200).json({
+            success: true,
+            conversation: req.conversation
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/:id/messages', protect, requireParticipant, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+        const filter = { conversation: req.conversation._id };
+        if (req.query.before && mongoose.isValidObjectId(req.query.before)) {
+            filter._id = { $lt: req.query.before };
+        }
+        const messages = await Message.find(filter)
+            .populate(MESSAGE_POPULATE)
+            .sort({ _id: -1 })
+            .limit(limit + 1);
+        const hasMore = messages.length > limit;
+        const page = messages.slice(0, limit).reverse();
+        res.status(200).json({
+            success: true,
+            messages: await withVisibleSharedPosts(req.user._id, page),
+            nextCursor: hasMore ? page[0]._id : null
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/:id/messages', protect, requireParticipant, [
+    body('text')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Message cannot exceed 2000 characters'),
+    body('postId')
+        .optional()
+        .isMongoId()
+        .withMessage('provide a valid post id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const { text, postId } = req.body;
+        if (!text && !postId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message text or a post is required'
+            });
+        }
+        if (postId) {
+            const post = await Post.findById(postId).select('user');
+            if (!post || !(await canSeeSharedPost(req.user._id, post))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found'
+                });
+            }
+            const recipients = req.conversation.participants.filter(p => p.toString() !== req.user.id);
+            for (const recipient of recipients) {
+                if (!(await canSeeSharedPost(recipient, post))) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Not everyone in this conversation can see this post'
+                    });
+                }
+            }
+        }
+        const message = await Message.create({
+            conversation: req.conversation._id,
+            sender: req.user.id,
+            text: text || '',
+            post: postId || null,
+            readBy: [{ user: req.user.id }]
+        });
+        req.conversation.lastMessage = message._id;
+        req.conversation.lastMessageAt = message.createdAt;
+        await req.conversation.save();
+        await message.populate(MESSAGE_POPULATE);
+        const [visibleMessage] = await withVisibleSharedPosts(req.user._id, [message]);
+        res.status(201).json({
+            success: true,
+            message: visibleMessage
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/:id/read', protect, requireParticipant, async (req, res) => {
+    try {
+        const result = await Message.updateMany(
+            {
+                conversation: req.conversation._id,
+                'readBy.user': { $ne: req.user.id }
+            },
+            { $push: { readBy: { user: req.user.id, readAt: new Date() } } }
+        );
+        res.status(200).json({
+            success: true,
+            marked: result.modifiedCount
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+export default router;
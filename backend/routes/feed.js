@@ -1,41 +1,86 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import Post from '../models/Post.js';
-import Follow from '../models/Follow.js';
-import Comment from '../models/Comment.js';
 import { protect } from '../middleware/auth.js';
+import { withPostLikes } from '../utils/likes.js';
+import { withSavedState } from '../utils/saved.js';
+import { parsePageCursor, pageSort, afterCursor, pageOf } from '../utils/cursor.js';
+import { FEED_MODES, getFeedFilter, getRankedFeed, markPostsSeen } from '../utils/feed.js';
+import { parseRankingCursor } from '../utils/rankingSnapshots.js';
 const router = express.Router();
 router.get('/', protect, async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
-        const following = await Follow.find({ follower: req.user.id }).select('following');
-        const followingIds = following.map(f => f.following);
-        followingIds.push(req.user.id);
-        const posts = await Post.find({ user: { $in: followingIds } })
+        const { mode = 'following' } = req.query;
+        if (!FEED_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `mode must be one of ${FEED_MODES.join(', ')}`
+            });
+        }
+        const parseCursor = mode === 'for_you' ? parseRankingCursor : parsePageCursor;
+        const after = req.query.cursor ? parseCursor(req.query.cursor) : null;
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        if (mode === 'for_you') {
+            const ranked = await getRankedFeed(req.user._id, { after, limit });
+            if (!ranked) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cursor has expired, reload the feed'
+                });
+            }
+            const { posts, nextCursor } = ranked;
+            return res.status(200).json({
+                success: true,
+                items: await withSavedState(req.user._id, await withPostLikes(req.user._id, posts)),
+                nextCursor
+            });
+        }
+        const feedFilter = await getFeedFilter(req.user._id);
+        const posts = await Post.find(afterCursor(feedFilter, after))
             .populate('user', 'username profilePicture')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-        const total = await Post.countDocuments({ user: { $in: followingIds } });
-        const postsWithDetails = await Promise.all(posts.map(async (post) => {
-            const commentCount = await Comment.countDocuments({ post: post._id });
-            const isLiked = post.likes.includes(req.user.id);
-            return {
-                ...post.toObject(),
-                isLiked,
-                commentCount
-            };
-        }));
+            .populate('mentions', 'username')
+            .sort(pageSort())
+            .limit(limit + 1);
+        const { items, nextCursor } = pageOf(posts, limit);
         res.status(200).json({
             success: true,
-            posts: postsWithDetails,
-            pagination: {
-                page,
-                limit,
-                total,
-                pages: Math.ceil(total / limit)
-            }
+            items: await withSavedState(req.user._id, await withPostLikes(req.user._id, items)),
+            nextCursor
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+// Posts that scrolled into view in the For You feed, so they aren't ranked for the viewer again
+router.post('/seen', protect, [
+    body('postIds')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('postIds must list between 1 and 50 posts'),
+    body('postIds.*')
+        .isMongoId()
+        .withMessage('provide valid post ids')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        await markPostsSeen(req.user._id, [...new Set(req.body.postIds)]);
+        res.status(200).json({
+            success: true
         });
     } catch (error) {
         console.error(error);
@@ -0,0 +1,74 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import FollowRequest from '../models/FollowRequest.js';
+import { protect } from '../middleware/auth.js';
+import { retractNotification } from '../utils/notifications.js';
+import { approveFollowRequest } from '../utils/privacy.js';
+const router = express.Router();
+// Loads one of the current user's incoming requests or answers 404.
+const findIncomingRequest = async (req, res) => {
+    const request = mongoose.isValidObjectId(req.params.id)
+        ? await FollowRequest.findOne({ _id: req.params.id, target: req.user._id })
+        : null;
+    if (!request) {
+        res.status(404).json({
+            success: false,
+            message: 'Follow request not found'
+        });
+    }
+    return request;
+};
+router.get('/', protect, async (req, res) => {
+    try {
+        const requests = await FollowRequest.find({ target: req.user._id })
+            .populate('requester', 'username profilePicture bio')
+            .sort({ createdAt: -1 });
+        res.status(200).json({
+            success: true,
+            requests
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/:id/approve', protect, async (req, res) => {
+    try {
+        const request = await findIncomingRequest(req, res);
+        if (!request) return;
+        await approveFollowRequest(request);
+        res.status(200).json({
+            success: true,
+            message: 'Follow request approved'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const request = await findIncomingRequest(req, res);
+        if (!request) return;
+        await request.deleteOne();
+        await retractNotification({ type: 'follow_request', actor: request.requester, recipient: request.target });
+        res.status(200).json({
+            success: true,
+            message: 'Follow request declined'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import { protect } from '../middleware/auth.js';
+import { getBlockedUserIds, getHiddenPrivateUserIds } from '../utils/privacy.js';
+import { parsePageCursor, pageSort, afterCursor, pageOf } from '../utils/cursor.js';
+const router = express.Router();
+const newestFirst = (a, b) => (b.createdAt - a.createdAt) || (b._id.toString() > a._id.toString() ? 1 : -1);
+router.get('/', protect, async (req, res) => {
+    try {
+        const after = parsePageCursor(req.query.cursor);
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        // Mentions don't grant access: posts by private accounts stay hidden from non-followers.
+        // Hidden authors are worked out up front so every page comes back full.
+        const commentFilter = { mentions: req.user._id, user: { $nin: blockedIds }, deleted: { $ne: true } };
+        const [postAuthorIds, commentPostIds] = await Promise.all([
+            Post.distinct('user', { mentions: req.user._id }),
+            Comment.distinct('post', commentFilter)
+        ]);
+        const commentPostAuthorIds = await Post.distinct('user', { _id: { $in: commentPostIds } });
+        const hiddenIds = [
+            ...blockedIds,
+            ...await getHiddenPrivateUserIds(req.user._id, [...postAuthorIds, ...commentPostAuthorIds])
+        ];
+        const visibleCommentPostIds = await Post.distinct('_id', { _id: { $in: commentPostIds }, user: { $nin: hiddenIds } });
+        // Posts and comments are merged by date, so each source fetches a full page past the cursor
+        const [posts, comments] = await Promise.all([
+            Post.find(afterCursor({ mentions: req.user._id, user: { $nin: hiddenIds } }, after))
+                .populate('user', 'username profilePicture')
+                .populate('mentions', 'username')
+                .sort(pageSort())
+                .limit(limit + 1),
+            Comment.find(afterCursor({ ...commentFilter, post: { $in: visibleCommentPostIds } }, after))
+                .populate('user', 'username profilePicture')
+                .populate('mentions', 'username')
+                .populate('post', 'imageUrl media')
+                .sort(pageSort())
+                .limit(limit + 1)
+        ]);
+        const merged = [
+            ...posts.map(post => ({
+                type: 'post',
+                _id: post._id,
+                user: post.user,
+                text: post.caption,
+                mentions: post.mentions,
+                post: { _id: post._id, imageUrl: post.imageUrl, media: post.media },
+                createdAt: post.createdAt
+            })),
+            ...comments.filter(comment => comment.post).map(comment => ({
+                type: 'comment',
+                _id: comment._id,
+                user: comment.user,
+                text: comment.text,
+                mentions: comment.mentions,
+                post: comment.post,
+                createdAt: comment.createdAt
+            }))
+        ].sort(newestFirst);
+        const { items, nextCursor } = pageOf(merged, limit);
+        res.status(200).json({
+            success: true,
+            items,
+            nextCursor
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { protect } from '../middleware/auth.js';
+const router = express.Router();
+const ACTORS_SHOWN = 2;
+router.get('/', protect, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const groups = await Notification.aggregate([
+            { $match: { recipient: new mongoose.Types.ObjectId(req.user.id) } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$groupKey',
+                    type: { $first: '$type' },
+                    post: { $first: '$post' },
+                    comment: { $first: '$comment' },
+                    actors: { $push: '$actor' },
+                    latestAt: { $first: '$createdAt' },
+                    unread: { $sum: { $cond: ['$read', 0, 1] } }
+                }
+            },
+            { $sort: { latestAt: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit + 1 },
+            {
+                $project: {
+                    _id: 0,
+                    groupKey: '$_id',
+                    type: 1,
+                    post: 1,
+                    comment: 1,
+                    latestAt: 1,
+                    read: { $eq: ['$unread', 0] },
+                    actorCount: { $size: { $setUnion: ['$actors', []] } },
+                    actors: { $slice: ['$actors', 10] }
+                }
+            }
+        ]);
+        const hasMore = groups.length > limit;
+        const notifications = groups.slice(0, limit).map(group => {
+            const seen = new Set();
+            const actors = group.actors.filter(id => {
+                const key = id.toString();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            }).slice(0, ACTORS_SHOWN);
+            return { ...group, actors };
+        });
+        await Notification.populate(notifications, [
+            { path: 'actors', model: 'User', select: 'username profilePicture' },
+            { path: 'post', model: 'Post', select: 'imageUrl media' },
+            { path: 'comment', model: 'Comment', select: 'text' }
+        ]);
+        res.status(200).json({
+            success: true,
+            notifications,
+            pagination: {
+                page,
+                limit,
+                hasMore
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/unread-count', protect, async (req, res) => {
+    try {
+        const unreadGroups = await Notification.distinct('groupKey', {
+            recipient: req.user.id,
+            read: false
+        });
+        res.status(200).json({
+            success: true,
+            count: unreadGroups.length
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/read', protect, async (req, res) => {
+    try {
+        const filter = { recipient: req.user.id, read: false };
+        if (req.body.groupKey) {
+            filter.groupKey = String(req.body.groupKey);
+        }
+        const result = await Notification.updateMany(filter, { read: true });
+        res.status(200).json({
+            success: true,
+            marked: result.modifiedCount
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+export default router;
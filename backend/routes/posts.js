@@ -1,15 +1,43 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Post from '../models/Post.js';
+import Post, { MAX_MEDIA_ITEMS } from '../models/Post.js';
 import Comment from '../models/Comment.js';
-import { protect } from '../middleware/auth.js';
+import Media from '../models/Media.js';
+import Follow from '../models/Follow.js';
+import User from '../models/User.js';
+import Like from '../models/Like.js';
+import Collection from '../models/Collection.js';
+import SavedPost from '../models/SavedPost.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.js';
+import { getBlockedUserIds, isBlockedBetween, canViewPost, privateAccountResponse } from '../utils/privacy.js';
+import { deleteMedia } from '../utils/media.js';
+import { notify, retractNotification } from '../utils/notifications.js';
+import { publishToPost, publishToUsers } from '../utils/realtime.js';
+import { resolveMentions } from '../utils/mentions.js';
+import { extractHashtags } from '../utils/hashtags.js';
+import { getExplorePosts } from '../utils/explore.js';
+import { parseRankingCursor } from '../utils/rankingSnapshots.js';
+import { NEWEST_FIRST, parsePageCursor, pageSort, afterCursor, pageOf } from '../utils/cursor.js';
+import { addLike, removeLike, withPostLikes, withCommentLikes } from '../utils/likes.js';
+import { withSavedState, removeSavedPost } from '../utils/saved.js';
+// Top sorts by likes first, so its cursors carry likeCount too
+const COMMENT_SORTS = {
+    newest: NEWEST_FIRST,
+    top: ['likeCount', ...NEWEST_FIRST]
+};
 const router = express.Router();
-router.post('/', protect, [
-    body('imageUrl')
-        .notEmpty()
-        .withMessage('Image URL is require')
-        .isURL()
-        .withMessage('provide a valid URL'),
+router.post('/', protect, requireVerifiedEmail, [
+    body('media')
+        .isArray({ min: 1, max: MAX_MEDIA_ITEMS })
+        .withMessage(`A post needs between 1 and ${MAX_MEDIA_ITEMS} images`),
+    body('media.*.mediaId')
+        .isMongoId()
+        .withMessage('provide a valid upload id'),
+    body('media.*.alt')
+        .optional()
+        .isString()
+        .isLength({ max: 300 })
+        .withMessage('Alt text cannot exceed 300 characters'),
     body('caption')
         .optional()
         .isLength({ max: 2200 })
@@ -23,14 +51,57 @@ router.post('/', protect, [
                 errors: errors.array()
             });
         }
-        const { imageUrl, caption } = req.body;
-
+        const { media, caption } = req.body;
+        const mediaIds = media.map(item => item.mediaId);
+        const uploads = await Media.find({ _id: { $in: mediaIds }, owner: req.user.id, post: null, story: null });
+        if (uploads.length !== mediaIds.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload not found or already used by another post'
+            });
+        }
+        const items = media.map(({ mediaId, alt }) => {
+            const upload = uploads.find(u => u._id.toString() === mediaId);
+            return {
+                asset: upload._id,
+                url: upload.getVariantUrl('large'),
+                thumbnailUrl: upload.getVariantUrl('thumbnail'),
+                alt: alt ? alt.trim() : '',
+                width: upload.width,
+                height: upload.height
+            };
+        });
         const post = await Post.create({
             user: req.user.id,
-            imageUrl,
-            caption: caption || ''
+            media: items,
+            imageUrl: items[0].url,
+            caption: caption || '',
+            hashtags: extractHashtags(caption),
+            mentions: await resolveMentions(caption)
+        });
+        // Claimed only if still unused, since another request may have taken an upload since the check above
+        const claim = await Media.updateMany(
+            { _id: { $in: mediaIds }, owner: req.user.id, post: null, story: null },
+            { post: post._id }
+        );
+        if (claim.modifiedCount !== mediaIds.length) {
+            await Media.updateMany({ post: post._id }, { post: null });
+            await post.deleteOne();
+            return res.status(400).json({
+                success: false,
+                message: 'Upload not found or already used by another post'
+            });
+        }
+        await User.updateOne({ _id: req.user.id }, { $inc: { postCount: 1 } });
+        await post.populate([
+            { path: 'user', select: 'username profilePicture' },
+            { path: 'mentions', select: 'username' }
+        ]);
+        const followers = await Follow.find({ following: req.user.id }).select('follower');
+        publishToUsers(followers.map(f => f.follower), 'feed:new-post', {
+            postId: post._id,
+            user: post.user
         });
-        await post.populate('user', 'username profilePicture');
         res.status(201).json({
             success: true,
             post
@@ -43,28 +114,56 @@ router.post('/', protect, [
         });
     }
 });
+router.get('/explore', protect, async (req, res) => {
+    try {
+        const after = req.query.cursor ? parseRankingCursor(req.query.cursor) : null;
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 24, 50);
+        const explore = await getExplorePosts(req.user._id, { after, limit });
+        if (!explore) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cursor has expired, reload Explore'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            items: explore.posts,
+            nextCursor: explore.nextCursor
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 router.get('/:id', protect, async (req, res) => {
     try {
         const post = await Post.findById(req.params.id)
-            .populate('user', 'username profilePicture');
+            .populate('user', 'username profilePicture')
+            .populate('mentions', 'username');
 
-        if (!post) {
+        if (!post || await isBlockedBetween(req.user._id, post.user._id || post.user)) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
             });
         }
-        const comments = await Comment.find({ post: post._id })
-            .populate('user', 'username profilePicture')
-            .sort({ createdAt: -1 });
-        const isLiked = post.likes.includes(req.user.id);
+        if (!(await canViewPost(req.user._id, post))) {
+            return privateAccountResponse(res);
+        }
+        // Comments are paged separately through GET /:id/comments
+        const [postWithState] = await withSavedState(req.user._id, await withPostLikes(req.user._id, [post]));
         res.status(200).json({
             success: true,
-            post: {
-                ...post.toObject(),
-                isLiked,
-                comments
-            }
+            post: postWithState
         });
     } catch (error) {
         console.error(error);
@@ -91,7 +190,13 @@ router.delete('/:id', protect, async (req, res) => {
             });
         }
         await Comment.deleteMany({ post: post._id });
+        await Like.deleteMany({ post: post._id });
+        await removeSavedPost(post._id);
+        await retractNotification({ post: post._id });
+        const uploads = await Media.find({ post: post._id });
+        await Promise.all(uploads.map(deleteMedia));
         await post.deleteOne();
+        await User.updateOne({ _id: post.user }, { $inc: { postCount: -1 } });
         res.status(200).json({
             success: true,
             message: 'Post deleted successfully'
@@ -104,27 +209,154 @@ router.delete('/:id', protect, async (req, res) => {
         });
     }
 });
+// Only the author can edit. Alt text is given per image, in the post's media order; earlier
+// captions are kept in captionHistory so anyone viewing the post can see what changed.
+router.patch('/:id', protect, [
+    body('caption')
+        .optional()
+        .isString()
+        .isLength({ max: 2200 })
+        .withMessage('Caption cannot exceed 2200 characters'),
+    body('media')
+        .optional()
+        .isArray({ max: MAX_MEDIA_ITEMS })
+        .withMessage('media must list the alt text for each image'),
+    body('media.*.alt')
+        .optional()
+        .isString()
+        .isLength({ max: 300 })
+        .withMessage('Alt text cannot exceed 300 characters'),
+    body('commentsDisabled')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('commentsDisabled must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const post = await Post.findById(req.params.id).select('+captionHistory');
+
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        if (post.user.toString() !== req.user.id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized to edit this post'
+            });
+        }
+        const { caption, media, commentsDisabled } = req.body;
+        if (media && media.length !== post.media.length) {
+            return res.status(400).json({
+                success: false,
+                message: `This post has ${post.media.length} images; send alt text for each of them`
+            });
+        }
+        let edited = false;
+        if (caption !== undefined && caption !== post.caption) {
+            post.captionHistory.push({ caption: post.caption, writtenAt: post.editedAt || post.createdAt });
+            post.caption = caption;
+            post.hashtags = extractHashtags(caption);
+            post.mentions = await resolveMentions(caption);
+            edited = true;
+        }
+        if (media) {
+            media.forEach(({ alt }, index) => {
+                const trimmed = alt ? alt.trim() : '';
+                if (alt !== undefined && trimmed !== post.media[index].alt) {
+                    post.media[index].alt = trimmed;
+                    edited = true;
+                }
+            });
+        }
+        if (edited) {
+            post.editedAt = new Date();
+        }
+        // Turning comments off or on isn't an edit to what was posted, so it doesn't mark the post edited
+        if (commentsDisabled !== undefined) {
+            post.commentsDisabled = commentsDisabled;
+        }
+        await post.save();
+        await post.populate([
+            { path: 'user', select: 'username profilePicture' },
+            { path: 'mentions', select: 'username' }
+        ]);
+        // The full history is only sent by GET /:id/history
+        const { captionHistory, ...fields } = post.toObject();
+        const [postWithState] = await withSavedState(req.user._id, await withPostLikes(req.user._id, [fields]));
+        res.status(200).json({
+            success: true,
+            post: postWithState
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+// Earlier captions of an edited post, oldest first, for whoever can see the post itself.
+router.get('/:id/history', protect, async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id).select('+captionHistory');
+
+        if (!post || await isBlockedBetween(req.user._id, post.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        if (!(await canViewPost(req.user._id, post))) {
+            return privateAccountResponse(res);
+        }
+        res.status(200).json({
+            success: true,
+            caption: post.caption,
+            editedAt: post.editedAt,
+            history: post.captionHistory
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
 router.post('/:id/like', protect, async (req, res) => {
     try {
         const post = await Post.findById(req.params.id);
-        if (!post) {
+        if (!post || await isBlockedBetween(req.user._id, post.user._id || post.user)) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
             });
         }
-        if (post.likes.includes(req.user.id)) {
+        if (!(await canViewPost(req.user._id, post))) {
+            return privateAccountResponse(res);
+        }
+        const likeCount = await addLike(req.user._id, { post: post._id });
+        if (likeCount === null) {
             return res.status(400).json({
                 success: false,
                 message: 'You have already liked this post'
             });
         }
-        post.likes.push(req.user.id);
-        await post.save();
+        await notify({ recipient: post.user, actor: req.user.id, type: 'like', post: post._id });
+        publishToPost(post._id, 'post:update', { postId: post._id, likeCount });
         res.status(200).json({
             success: true,
             message: 'Post liked successfully',
-            likeCount: post.likes.length
+            likeCount
         });
     } catch (error) {
         console.error(error);
@@ -136,7 +368,7 @@ router.post('/:id/like', protect, async (req, res) => {
 });
 router.delete('/:id/like', protect, async (req, res) => {
     try {
-        const post = await Post.findById(req.params.id);
+        const post = await Post.findById(req.params.id).select('_id');
 
         if (!post) {
             return res.status(404).json({
@@ -144,18 +376,101 @@ router.delete('/:id/like', protect, async (req, res) => {
                 message: 'Post not found'
             });
         }
-        if (!post.likes.includes(req.user.id)) {
+        const likeCount = await removeLike(req.user._id, { post: post._id });
+        if (likeCount === null) {
             return res.status(400).json({
                 success: false,
                 message: 'You have not liked this post'
             });
         }
-        post.likes = post.likes.filter(id => id.toString() !== req.user.id);
-        await post.save();
+        await retractNotification({ type: 'like', actor: req.user.id, post: post._id });
+        publishToPost(post._id, 'post:update', { postId: post._id, likeCount });
         res.status(200).json({
             success: true,
             message: 'Post unliked successfully',
-            likeCount: post.likes.length
+            likeCount
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+// Saves the post, or moves it if it's already saved. collectionId picks the collection;
+// null takes the post out of its collection, and leaving it out keeps the current one.
+router.post('/:id/save', protect, [
+    body('collectionId')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('provide a valid collection id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const post = await Post.findById(req.params.id);
+        if (!post || await isBlockedBetween(req.user._id, post.user._id || post.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        if (!(await canViewPost(req.user._id, post))) {
+            return privateAccountResponse(res);
+        }
+        const update = { $setOnInsert: { user: req.user._id, post: post._id } };
+        if (req.body.collectionId !== undefined) {
+            const collectionId = req.body.collectionId;
+            if (collectionId && !(await Collection.exists({ _id: collectionId, user: req.user._id }))) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Collection not found'
+                });
+            }
+            update.$set = { inCollection: collectionId };
+            // A post that leaves a collection can't stay its cover
+            await Collection.updateMany(
+                { user: req.user._id, coverPost: post._id, _id: { $ne: collectionId } },
+                { $set: { coverPost: null } }
+            );
+        }
+        const saved = await SavedPost.findOneAndUpdate(
+            { user: req.user._id, post: post._id },
+            update,
+            { upsert: true, new: true }
+        );
+        res.status(200).json({
+            success: true,
+            message: 'Post saved',
+            savedTo: saved.inCollection
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id/save', protect, async (req, res) => {
+    try {
+        const saved = await SavedPost.findOneAndDelete({ user: req.user._id, post: req.params.id });
+        if (!saved) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have not saved this post'
+            });
+        }
+        await Collection.updateMany({ user: req.user._id, coverPost: saved.post }, { $set: { coverPost: null } });
+        res.status(200).json({
+            success: true,
+            message: 'Post removed from saved'
         });
     } catch (error) {
         console.error(error);
@@ -165,13 +480,17 @@ router.delete('/:id/like', protect, async (req, res) => {
         });
     }
 });
-router.post('/:id/comments', protect, [
+router.post('/:id/comments', protect, requireVerifiedEmail, [
     body('text')
         .trim()
         .notEmpty()
         .withMessage('Comment text is required')
         .isLength({ max: 1000 })
-        .withMessage('Comment cannot exceed 999 characters')
+        .withMessage('Comment cannot exceed 999 characters'),
+    body('parentId')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('provide a valid comment to reply to')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -182,21 +501,59 @@ router.post('/:id/comments', protect, [
             });
         }
         const post = await Post.findById(req.params.id);
-        if (!post) {
+        if (!post || await isBlockedBetween(req.user._id, post.user._id || post.user)) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
             });
         }
+        if (!(await canViewPost(req.user._id, post))) {
+            return privateAccountResponse(res);
+        }
+        if (post.commentsDisabled) {
+            return res.status(403).json({
+                success: false,
+                message: 'Comments are turned off for this post'
+            });
+        }
+        let parent = null;
+        if (req.body.parentId) {
+            parent = await Comment.findOne({ _id: req.body.parentId, post: post._id, deleted: { $ne: true } });
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Comment not found'
+                });
+            }
+            // Replying to a reply joins the same thread instead of nesting deeper
+            if (parent.parent) {
+                parent = await Comment.findById(parent.parent);
+            }
+        }
         const comment = await Comment.create({
             post: req.params.id,
             user: req.user.id,
-            text: req.body.text
+            text: req.body.text,
+            parent: parent ? parent._id : null,
+            mentions: await resolveMentions(req.body.text)
         });
-        await comment.populate('user', 'username profilePicture');
+        if (parent) {
+            await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+        }
+        await notify({ recipient: post.user, actor: req.user.id, type: 'comment', post: post._id, comment: comment._id });
+        if (parent && !parent.user.equals(post.user)) {
+            await notify({ recipient: parent.user, actor: req.user.id, type: 'reply', post: post._id, comment: comment._id });
+        }
+        const { commentCount } = await Post.findByIdAndUpdate(post._id, { $inc: { commentCount: 1 } }, { new: true })
+            .select('commentCount');
+        publishToPost(post._id, 'post:update', { postId: post._id, commentCount });
+        await comment.populate([
+            { path: 'user', select: 'username profilePicture' },
+            { path: 'mentions', select: 'username' }
+        ]);
         res.status(201).json({
             success: true,
-            comment
+            comment: { ...comment.toObject(), isLiked: false }
         });
     } catch (error) {
         console.error(error);
@@ -208,12 +565,36 @@ router.post('/:id/comments', protect, [
 });
 router.get('/:id/comments', protect, async (req, res) => {
     try {
-        const comments = await Comment.find({ post: req.params.id })
+        const fields = COMMENT_SORTS[req.query.sort] || COMMENT_SORTS.newest;
+        const after = parsePageCursor(req.query.cursor, fields);
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const post = await Post.findById(req.params.id);
+        if (!post || await isBlockedBetween(req.user._id, post.user._id || post.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        if (!(await canViewPost(req.user._id, post))) {
+            return privateAccountResponse(res);
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const comments = await Comment.find(afterCursor({ post: post._id, parent: null, user: { $nin: blockedIds } }, after, fields))
             .populate('user', 'username profilePicture')
-            .sort({ createdAt: -1 });
+            .populate('mentions', 'username')
+            .sort(pageSort(fields))
+            .limit(limit + 1);
+        const { items, nextCursor } = pageOf(comments, limit, fields);
         res.status(200).json({
             success: true,
-            comments
+            items: await withCommentLikes(req.user._id, items),
+            nextCursor
         });
     } catch (error) {
         console.error(error);
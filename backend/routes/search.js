@@ -0,0 +1,43 @@
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import { SEARCH_TYPES, parseSearchCursor, search } from '../utils/search.js';
+const router = express.Router();
+router.get('/', protect, async (req, res) => {
+    try {
+        const { q, type = 'all' } = req.query;
+        if (!q || !String(q).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query is required'
+            });
+        }
+        if (type !== 'all' && !SEARCH_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `type must be one of all, ${SEARCH_TYPES.join(', ')}`
+            });
+        }
+        const after = req.query.cursor ? parseSearchCursor(req.query.cursor) : null;
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const { items, nextCursor } = await search(req.user._id, q, { type, limit, after });
+        res.status(200).json({
+            success: true,
+            items,
+            nextCursor
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,80 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { protect } from '../middleware/auth.js';
+import { listActiveSessions, revokeOtherSessions } from '../utils/sessions.js';
+import { disconnectSessions } from '../utils/realtime.js';
+const router = express.Router();
+const serializeSession = (session, currentSessionId) => ({
+    _id: session._id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: session._id.equals(currentSessionId)
+});
+router.get('/', protect, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+        res.status(200).json({
+            success: true,
+            sessions: sessions.map(session => serializeSession(session, req.sessionId))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/revoke-others', protect, async (req, res) => {
+    try {
+        const signedOut = await revokeOtherSessions(req.user._id, req.sessionId, 'signed out remotely');
+        res.status(200).json({
+            success: true,
+            signedOut
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        const session = await Session.findOne({
+            _id: req.params.id,
+            user: req.user._id,
+            revokedAt: null
+        });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        await session.revoke('signed out remotely');
+        disconnectSessions(req.user._id, [session._id]);
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,214 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Story from '../models/Story.js';
+import StoryView from '../models/StoryView.js';
+import Follow from '../models/Follow.js';
+import Media from '../models/Media.js';
+import { protect, requireVerifiedEmail } from '../middleware/auth.js';
+import { deleteMedia } from '../utils/media.js';
+import { isBlockedBetween, canViewPost, privateAccountResponse } from '../utils/privacy.js';
+const router = express.Router();
+router.post('/', protect, requireVerifiedEmail, [
+    body('mediaId')
+        .isMongoId()
+        .withMessage('provide a valid upload id'),
+    body('caption')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Caption cannot exceed 200 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const media = await Media.findOne({ _id: req.body.mediaId, owner: req.user.id, post: null, story: null });
+        if (!media) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload not found or already used'
+            });
+        }
+        const story = await Story.create({
+            user: req.user.id,
+            media: media._id,
+            imageUrl: media.getVariantUrl('large'),
+            width: media.width,
+            height: media.height,
+            caption: req.body.caption || ''
+        });
+        // Claimed only if still unused, since another request may have taken the upload since the check above
+        const claim = await Media.updateOne(
+            { _id: media._id, post: null, story: null },
+            { story: story._id }
+        );
+        if (claim.modifiedCount !== 1) {
+            await story.deleteOne();
+            return res.status(400).json({
+                success: false,
+                message: 'Upload not found or already used'
+            });
+        }
+        await story.populate('user', 'username profilePicture');
+        res.status(201).json({
+            success: true,
+            story
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/tray', protect, async (req, res) => {
+    try {
+        const following = await Follow.find({ follower: req.user.id }).select('following');
+        const followingIds = following.map(f => f.following);
+        followingIds.push(req.user.id);
+        const stories = await Story.find({
+            user: { $in: followingIds },
+            createdAt: { $gt: Story.activeSince() }
+        })
+            .populate('user', 'username profilePicture')
+            .sort({ createdAt: 1 });
+        const views = await StoryView.find({
+            viewer: req.user.id,
+            story: { $in: stories.map(s => s._id) }
+        }).select('story');
+        const viewedIds = new Set(views.map(v => v.story.toString()));
+        const trayByUser = new Map();
+        stories.forEach(story => {
+            const userId = story.user._id.toString();
+            if (!trayByUser.has(userId)) {
+                trayByUser.set(userId, { user: story.user, stories: [], hasUnseen: false, latestAt: null });
+            }
+            const entry = trayByUser.get(userId);
+            const seen = viewedIds.has(story._id.toString());
+            entry.stories.push({ ...story.toObject(), seen });
+            entry.hasUnseen = entry.hasUnseen || !seen;
+            entry.latestAt = story.createdAt;
+        });
+        // Own stories first, then users with unseen stories, most recent first.
+        const tray = [...trayByUser.values()].sort((a, b) => {
+            const aOwn = a.user._id.toString() === req.user.id;
+            const bOwn = b.user._id.toString() === req.user.id;
+            if (aOwn !== bOwn) return aOwn ? -1 : 1;
+            if (a.hasUnseen !== b.hasUnseen) return a.hasUnseen ? -1 : 1;
+            return b.latestAt - a.latestAt;
+        });
+        res.status(200).json({
+            success: true,
+            tray
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/:id/view', protect, async (req, res) => {
+    try {
+        const story = await Story.findOne({ _id: req.params.id, createdAt: { $gt: Story.activeSince() } });
+        if (!story || await isBlockedBetween(req.user._id, story.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Story not found'
+            });
+        }
+        // Stories follow the same visibility as the author's posts
+        if (!(await canViewPost(req.user._id, story))) {
+            return privateAccountResponse(res);
+        }
+        if (story.user.toString() !== req.user.id) {
+            await StoryView.updateOne(
+                { story: story._id, viewer: req.user.id },
+                { $setOnInsert: { story: story._id, viewer: req.user.id } },
+                { upsert: true }
+            );
+        }
+        res.status(200).json({
+            success: true,
+            message: 'Story marked as viewed'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/:id/viewers', protect, async (req, res) => {
+    try {
+        const story = await Story.findById(req.params.id);
+        if (!story) {
+            return res.status(404).json({
+                success: false,
+                message: 'Story not found'
+            });
+        }
+        if (story.user.toString() !== req.user.id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Only the author can see who viewed this story'
+            });
+        }
+        const views = await StoryView.find({ story: story._id })
+            .populate('viewer', 'username profilePicture')
+            .sort({ createdAt: -1 });
+        res.status(200).json({
+            success: true,
+            viewers: views.map(v => ({
+                user: v.viewer,
+                viewedAt: v.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const story = await Story.findById(req.params.id);
+        if (!story) {
+            return res.status(404).json({
+                success: false,
+                message: 'Story not found'
+            });
+        }
+        if (story.user.toString() !== req.user.id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized to delete this story'
+            });
+        }
+        const media = await Media.findById(story.media);
+        if (media) {
+            await deleteMedia(media);
+        }
+        await StoryView.deleteMany({ story: story._id });
+        await story.deleteOne();
+        res.status(200).json({
+            success: true,
+            message: 'Story deleted successfully'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+export default router;
@@ -0,0 +1,103 @@
+import express from 'express';
+import Post from '../models/Post.js';
+import HashtagFollow from '../models/HashtagFollow.js';
+import { protect } from '../middleware/auth.js';
+import { normalizeHashtag } from '../utils/hashtags.js';
+import { getBlockedUserIds, getHiddenPrivateUserIds } from '../utils/privacy.js';
+const router = express.Router();
+const SORTS = {
+    top: { likeCount: -1, createdAt: -1 },
+    recent: { createdAt: -1 }
+};
+// Responds 400 and returns null when the path segment can't be a tag
+const parseTag = (req, res) => {
+    const tag = normalizeHashtag(req.params.tag);
+    if (!/^[\p{L}\p{N}_]{1,100}$/u.test(tag)) {
+        res.status(400).json({
+            success: false,
+            message: 'Invalid hashtag'
+        });
+        return null;
+    }
+    return tag;
+};
+router.get('/:tag', protect, async (req, res) => {
+    try {
+        const tag = parseTag(req, res);
+        if (!tag) return;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 18, 50);
+        const sort = SORTS[req.query.sort] || SORTS.top;
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const authorIds = await Post.distinct('user', { hashtags: tag, user: { $nin: blockedIds } });
+        const hiddenIds = await getHiddenPrivateUserIds(req.user._id, authorIds);
+        const filter = { hashtags: tag, user: { $nin: [...blockedIds, ...hiddenIds] } };
+        const [postCount, following, posts] = await Promise.all([
+            Post.countDocuments(filter),
+            HashtagFollow.exists({ user: req.user._id, tag }),
+            Post.find(filter)
+                .populate('user', 'username profilePicture')
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit + 1)
+        ]);
+        res.status(200).json({
+            success: true,
+            tag,
+            postCount,
+            isFollowing: !!following,
+            posts: posts.slice(0, limit),
+            pagination: {
+                page,
+                limit,
+                hasMore: posts.length > limit
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/:tag/follow', protect, async (req, res) => {
+    try {
+        const tag = parseTag(req, res);
+        if (!tag) return;
+        await HashtagFollow.updateOne(
+            { user: req.user._id, tag },
+            { $setOnInsert: { user: req.user._id, tag } },
+            { upsert: true }
+        );
+        res.status(200).json({
+            success: true,
+            message: `Following #${tag}`
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:tag/follow', protect, async (req, res) => {
+    try {
+        const tag = parseTag(req, res);
+        if (!tag) return;
+        await HashtagFollow.deleteOne({ user: req.user._id, tag });
+        res.status(200).json({
+            success: true,
+            message: `Unfollowed #${tag}`
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,181 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { generateSecret, verifyTotp, otpauthUrl, generateRecoveryCodes } from '../utils/twoFactor.js';
+const router = express.Router();
+const passwordRule = body('password')
+    .exists()
+    .withMessage('provide your password');
+router.get('/', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+recoveryCodeHashes');
+        res.status(200).json({
+            success: true,
+            enabled: user.twoFactorEnabled,
+            recoveryCodesRemaining: user.twoFactorEnabled ? user.recoveryCodeHashes.length : 0
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/setup', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already on'
+            });
+        }
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+        const url = otpauthUrl(secret, user.email);
+        res.status(200).json({
+            success: true,
+            secret,
+            otpauthUrl: url,
+            qrCode: await QRCode.toDataURL(url)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/enable', protect, [
+    body('code')
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('provide the code from your authenticator app')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+        if (user.twoFactorEnabled || !user.twoFactorPendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+        const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'That code is not valid, check your authenticator app and try again'
+            });
+        }
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastStep = step;
+        user.recoveryCodeHashes = hashes;
+        await user.save();
+        res.status(200).json({
+            success: true,
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/recovery-codes', protect, [passwordRule], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const user = await User.findById(req.user.id).select('+password');
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is off'
+            });
+        }
+        const isMatch = await user.matchPassword(req.body.password);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+        const { codes, hashes } = generateRecoveryCodes();
+        user.recoveryCodeHashes = hashes;
+        await user.save();
+        res.status(200).json({
+            success: true,
+            recoveryCodes: codes
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/disable', protect, [passwordRule], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const user = await User.findById(req.user.id).select('+password');
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is off'
+            });
+        }
+        const isMatch = await user.matchPassword(req.body.password);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorLastStep = undefined;
+        user.recoveryCodeHashes = undefined;
+        await user.save();
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication turned off'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from 'express';
+import Media from '../models/Media.js';
+import { protect } from '../middleware/auth.js';
+import { uploadImage } from '../middleware/upload.js';
+import { processImage } from '../utils/images.js';
+import { storeImage, deleteMedia } from '../utils/media.js';
+const router = express.Router();
+router.post('/', protect, uploadImage, async (req, res) => {
+    let image;
+    try {
+        image = await processImage(req.file.buffer);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            message: 'File is not a valid image'
+        });
+    }
+    try {
+        const media = await storeImage(req.user.id, image);
+        res.status(201).json({
+            success: true,
+            media
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const media = await Media.findById(req.params.id);
+        if (!media) {
+            return res.status(404).json({
+                success: false,
+                message: 'Upload not found'
+            });
+        }
+        if (media.owner.toString() !== req.user.id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized to delete this upload'
+            });
+        }
+        if (media.post || media.story) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload is attached to a post or story'
+            });
+        }
+        await deleteMedia(media);
+        res.status(200).json({
+            success: true,
+            message: 'Upload deleted successfully'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+export default router;
@@ -1,8 +1,26 @@
 import express from 'express';
+import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
 import Follow from '../models/Follow.js';
 import Post from '../models/Post.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import DismissedSuggestion from '../models/DismissedSuggestion.js';
 import { protect } from '../middleware/auth.js';
+import { notify, retractNotification } from '../utils/notifications.js';
+import { sendVerificationEmail } from '../utils/emailVerification.js';
+import { search } from '../utils/search.js';
+import { getSuggestions } from '../utils/suggestions.js';
+import { adjustFollowCounts } from '../utils/counters.js';
+import { parsePageCursor, pageSort, afterCursor, pageOf } from '../utils/cursor.js';
+import {
+    getBlockedUserIds,
+    isBlockedBetween,
+    canViewContent,
+    privateAccountResponse,
+    approveFollowRequest
+} from '../utils/privacy.js';
 
 const router = express.Router();
 router.get('/search', protect, async (req, res) => {
@@ -14,12 +32,197 @@ router.get('/search', protect, async (req, res) => {
                 message: 'Search query is required'
             });
         }
-        const users = await User.find({
-            username: { $regex: q, $options: 'i' }
-        }).select('username profilePicture bio').limit(20);
+        const { items } = await search(req.user._id, q, { type: 'users', limit: 20 });
         res.status(200).json({
             success: true,
-            users
+            users: items.map(result => result.user)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.put('/profile', protect, [
+    body('username')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 30 })
+        .withMessage('Username between 3 and 30 characters'),
+    body('email')
+        .optional()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('provide valid email'),
+    body('displayName')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Display name maxlength is 50 characters'),
+    body('bio')
+        .optional()
+        .isLength({ max: 150 })
+        .withMessage('Bio maxlength is 150 characters'),
+    body('profilePicture')
+        .optional({ checkFalsy: true })
+        .isURL()
+        .withMessage('Profile picture must be a URL'),
+    body('isPrivate')
+        .optional()
+        .isBoolean()
+        .withMessage('isPrivate must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+        const user = await User.findById(req.user.id);
+        const { username, displayName, email, bio, profilePicture, isPrivate } = req.body;
+        if (username && username !== user.username) {
+            const taken = await User.findOne({ username });
+            if (taken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Username is already taken'
+                });
+            }
+            user.username = username;
+        }
+        if (displayName !== undefined) {
+            user.displayName = displayName;
+        }
+        if (bio !== undefined) {
+            user.bio = bio;
+        }
+        if (profilePicture !== undefined) {
+            user.profilePicture = profilePicture || undefined;
+        }
+        const goingPublic = user.isPrivate && isPrivate === false;
+        if (isPrivate !== undefined) {
+            user.isPrivate = isPrivate;
+        }
+        // A new email only replaces the current one once it has been confirmed
+        let emailChangePending = false;
+        if (email && email !== user.email && email !== user.pendingEmail) {
+            const taken = await User.findOne({ email });
+            if (taken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'That email is already in use by another account'
+                });
+            }
+            user.pendingEmail = email;
+            emailChangePending = true;
+        }
+        await user.save();
+        // Nothing left to approve once the account is public, so let everyone waiting in
+        if (goingPublic) {
+            const pending = await FollowRequest.find({ target: user._id });
+            for (const request of pending) {
+                await approveFollowRequest(request);
+            }
+        }
+        if (emailChangePending) {
+            await sendVerificationEmail(user, email);
+        }
+        res.status(200).json({
+            success: true,
+            message: emailChangePending
+                ? `Profile updated. Check ${email} to confirm your new email address.`
+                : 'Profile updated',
+            user: {
+                id: user._id,
+                username: user.username,
+                displayName: user.displayName,
+                email: user.email,
+                bio: user.bio,
+                profilePicture: user.profilePicture,
+                isPrivate: user.isPrivate,
+                emailVerified: user.emailVerified !== false,
+                pendingEmail: user.pendingEmail
+            }
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/suggestions', protect, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 30);
+        const suggestions = await getSuggestions(req.user._id, limit);
+        res.status(200).json({
+            success: true,
+            suggestions
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/suggestions/:id/dismiss', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('_id');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        await DismissedSuggestion.updateOne(
+            { user: req.user._id, dismissed: user._id },
+            { $setOnInsert: { user: req.user._id, dismissed: user._id } },
+            { upsert: true }
+        );
+        res.status(200).json({
+            success: true,
+            message: 'Suggestion dismissed'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/blocked', protect, async (req, res) => {
+    try {
+        const blocks = await Block.find({ blocker: req.user._id })
+            .populate('blocked', 'username profilePicture')
+            .sort({ createdAt: -1 });
+        res.status(200).json({
+            success: true,
+            users: blocks.map(b => b.blocked).filter(Boolean)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.get('/muted', protect, async (req, res) => {
+    try {
+        const mutes = await Mute.find({ muter: req.user._id })
+            .populate('muted', 'username profilePicture')
+            .sort({ createdAt: -1 });
+        res.status(200).json({
+            success: true,
+            users: mutes.map(m => m.muted).filter(Boolean)
         });
     } catch (error) {
         console.error(error);
@@ -33,32 +236,39 @@ router.get('/:id', protect, async (req, res) => {
     try {
         const user = await User.findById(req.params.id).select('-password');
 
-        if (!user) {
+        if (!user || await isBlockedBetween(req.user._id, user._id)) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
             });
         }
-        const followerCount = await Follow.countDocuments({ following: user._id });
-        const followingCount = await Follow.countDocuments({ follower: user._id });
         const isFollowing = await Follow.findOne({
             follower: req.user.id,
             following: user._id
         });
-        const postCount = await Post.countDocuments({ user: user._id });
+        const isRequested = !isFollowing && !!(await FollowRequest.exists({
+            requester: req.user.id,
+            target: user._id
+        }));
+        const isMuted = !!(await Mute.exists({ muter: req.user.id, muted: user._id }));
         res.status(200).json({
             success: true,
             user: {
                 id: user._id,
                 username: user.username,
+                displayName: user.displayName,
                 email: user.email,
                 bio: user.bio,
                 profilePicture: user.profilePicture,
                 createdAt: user.createdAt,
-                followerCount,
-                followingCount,
-                postCount,
-                isFollowing: !!isFollowing
+                followerCount: user.followerCount,
+                followingCount: user.followingCount,
+                postCount: user.postCount,
+                isPrivate: user.isPrivate,
+                isFollowing: !!isFollowing,
+                isRequested,
+                isMuted,
+                canViewContent: !user.isPrivate || !!isFollowing || user._id.equals(req.user._id)
             }
         });
     } catch (error) {
@@ -71,13 +281,32 @@ router.get('/:id', protect, async (req, res) => {
 });
 router.get('/:id/posts', protect, async (req, res) => {
     try {
-        const posts = await Post.find({ user: req.params.id })
+        const after = parsePageCursor(req.query.cursor);
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const owner = await User.findById(req.params.id).select('isPrivate');
+        if (!owner || await isBlockedBetween(req.user._id, owner._id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        if (!(await canViewContent(req.user._id, owner))) {
+            return privateAccountResponse(res);
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 18, 50);
+        const posts = await Post.find(afterCursor({ user: owner._id }, after))
             .populate('user', 'username profilePicture')
-            .sort({ createdAt: -1 });
-
+            .populate('mentions', 'username')
+            .sort(pageSort())
+            .limit(limit + 1);
         res.status(200).json({
             success: true,
-            posts
+            ...pageOf(posts, limit)
         });
     } catch (error) {
         console.error(error);
@@ -89,12 +318,35 @@ router.get('/:id/posts', protect, async (req, res) => {
 });
 router.get('/:id/followers', protect, async (req, res) => {
     try {
-        const followers = await Follow.find({ following: req.params.id })
-            .populate('follower', 'username profilePicture bio');
-
+        const after = parsePageCursor(req.query.cursor);
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const owner = await User.findById(req.params.id).select('isPrivate');
+        if (!owner || await isBlockedBetween(req.user._id, owner._id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        if (!(await canViewContent(req.user._id, owner))) {
+            return privateAccountResponse(res);
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        // Most recent followers first; the cursor pages through the Follow rows
+        const follows = await Follow.find(afterCursor({ following: owner._id, follower: { $nin: blockedIds } }, after))
+            .populate('follower', 'username displayName profilePicture bio')
+            .sort(pageSort())
+            .limit(limit + 1);
+        const { items, nextCursor } = pageOf(follows, limit);
         res.status(200).json({
             success: true,
-            followers: followers.map(f => f.follower)
+            items: items.map(f => f.follower),
+            nextCursor
         });
     } catch (error) {
         console.error(error);
@@ -106,11 +358,34 @@ router.get('/:id/followers', protect, async (req, res) => {
 });
 router.get('/:id/following', protect, async (req, res) => {
     try {
-        const following = await Follow.find({ follower: req.params.id })
-            .populate('following', 'username profilePicture bio');
+        const after = parsePageCursor(req.query.cursor);
+        if (req.query.cursor && !after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+        const owner = await User.findById(req.params.id).select('isPrivate');
+        if (!owner || await isBlockedBetween(req.user._id, owner._id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        if (!(await canViewContent(req.user._id, owner))) {
+            return privateAccountResponse(res);
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const blockedIds = await getBlockedUserIds(req.user._id);
+        const follows = await Follow.find(afterCursor({ follower: owner._id, following: { $nin: blockedIds } }, after))
+            .populate('following', 'username displayName profilePicture bio')
+            .sort(pageSort())
+            .limit(limit + 1);
+        const { items, nextCursor } = pageOf(follows, limit);
         res.status(200).json({
             success: true,
-            following: following.map(f => f.following)
+            items: items.map(f => f.following),
+            nextCursor
         });
     } catch (error) {
         console.error(error);
@@ -129,7 +404,7 @@ router.post('/:id/follow', protect, async (req, res) => {
             });
         }
         const userToFollow = await User.findById(req.params.id);
-        if (!userToFollow) {
+        if (!userToFollow || await isBlockedBetween(req.user._id, userToFollow._id)) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
@@ -145,10 +420,34 @@ router.post('/:id/follow', protect, async (req, res) => {
                 message: 'You are already following this user'
             });
         }
+        if (userToFollow.isPrivate) {
+            const existingRequest = await FollowRequest.findOne({
+                requester: req.user.id,
+                target: userToFollow._id
+            });
+            if (existingRequest) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Follow request already sent'
+                });
+            }
+            await FollowRequest.create({
+                requester: req.user.id,
+                target: userToFollow._id
+            });
+            await notify({ recipient: userToFollow._id, actor: req.user.id, type: 'follow_request' });
+            return res.status(200).json({
+                success: true,
+                requested: true,
+                message: 'Follow request sent'
+            });
+        }
         await Follow.create({
             follower: req.user.id,
             following: req.params.id
         });
+        await adjustFollowCounts(req.user._id, userToFollow._id, 1);
+        await notify({ recipient: userToFollow._id, actor: req.user.id, type: 'follow' });
         res.status(200).json({
             success: true,
             message: 'Successfully followed user'
@@ -173,15 +472,179 @@ router.delete('/:id/follow', protect, async (req, res) => {
             follower: req.user.id,
             following: req.params.id
         });
+        if (!follow) {
+            // Unfollowing a private account you only requested withdraws the request
+            const request = await FollowRequest.findOneAndDelete({
+                requester: req.user.id,
+                target: req.params.id
+            });
+            if (!request) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You are not following this user'
+                });
+            }
+            await retractNotification({ type: 'follow_request', actor: req.user.id, recipient: req.params.id });
+            return res.status(200).json({
+                success: true,
+                message: 'Follow request cancelled'
+            });
+        }
+        await adjustFollowCounts(req.user._id, req.params.id, -1);
+        await retractNotification({ type: 'follow', actor: req.user.id, recipient: req.params.id });
+        res.status(200).json({
+            success: true,
+            message: 'Successfully unfollowed user'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id/follower', protect, async (req, res) => {
+    try {
+        const follow = await Follow.findOneAndDelete({
+            follower: req.params.id,
+            following: req.user.id
+        });
         if (!follow) {
             return res.status(400).json({
                 success: false,
-                message: 'You are not following this user'
+                message: 'This user does not follow you'
             });
         }
+        await adjustFollowCounts(req.params.id, req.user._id, -1);
+        await retractNotification({ type: 'follow', actor: req.params.id, recipient: req.user.id });
         res.status(200).json({
             success: true,
-            message: 'Successfully unfollowed user'
+            message: 'Follower removed'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/:id/block', protect, async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot block yourself'
+            });
+        }
+        const userToBlock = await User.findById(req.params.id);
+        if (!userToBlock) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        await Block.updateOne(
+            { blocker: req.user._id, blocked: userToBlock._id },
+            { $setOnInsert: { blocker: req.user._id, blocked: userToBlock._id } },
+            { upsert: true }
+        );
+        // Cut every tie in both directions; unblocking does not restore them
+        for (const [follower, following] of [[req.user._id, userToBlock._id], [userToBlock._id, req.user._id]]) {
+            if (await Follow.findOneAndDelete({ follower, following })) {
+                await adjustFollowCounts(follower, following, -1);
+            }
+        }
+        await FollowRequest.deleteMany({
+            $or: [
+                { requester: req.user._id, target: userToBlock._id },
+                { requester: userToBlock._id, target: req.user._id }
+            ]
+        });
+        await retractNotification({
+            $or: [
+                { actor: req.user._id, recipient: userToBlock._id },
+                { actor: userToBlock._id, recipient: req.user._id }
+            ]
+        });
+        res.status(200).json({
+            success: true,
+            message: 'User blocked'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id/block', protect, async (req, res) => {
+    try {
+        const block = await Block.findOneAndDelete({ blocker: req.user._id, blocked: req.params.id });
+        if (!block) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have not blocked this user'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: 'User unblocked'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.post('/:id/mute', protect, async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot mute yourself'
+            });
+        }
+        const userToMute = await User.findById(req.params.id);
+        if (!userToMute) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        await Mute.updateOne(
+            { muter: req.user._id, muted: userToMute._id },
+            { $setOnInsert: { muter: req.user._id, muted: userToMute._id } },
+            { upsert: true }
+        );
+        res.status(200).json({
+            success: true,
+            message: 'User muted'
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+});
+router.delete('/:id/mute', protect, async (req, res) => {
+    try {
+        const mute = await Mute.findOneAndDelete({ muter: req.user._id, muted: req.params.id });
+        if (!mute) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have not muted this user'
+            });
+        }
+        res.status(200).json({
+            success: true,
+            message: 'User unmuted'
         });
     } catch (error) {
         console.error(error);
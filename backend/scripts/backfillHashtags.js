@@ -0,0 +1,44 @@
+// Fills in Post.hashtags for posts created before captions were indexed.
+// Usage: npm run backfill:hashtags
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Post from '../models/Post.js';
+import { extractHashtags } from '../utils/hashtags.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const backfill = async () => {
+    await connectDB();
+    await Post.syncIndexes();
+    let updated = 0;
+    let ops = [];
+    const cursor = Post.find({ caption: { $regex: '#' } }).select('caption hashtags').lean().cursor();
+    for await (const post of cursor) {
+        const hashtags = extractHashtags(post.caption);
+        const current = post.hashtags || [];
+        if (hashtags.length === current.length && hashtags.every((tag, i) => tag === current[i])) {
+            continue;
+        }
+        ops.push({ updateOne: { filter: { _id: post._id }, update: { $set: { hashtags } } } });
+        if (ops.length === BATCH_SIZE) {
+            await Post.bulkWrite(ops);
+            updated += ops.length;
+            ops = [];
+        }
+    }
+    if (ops.length > 0) {
+        await Post.bulkWrite(ops);
+        updated += ops.length;
+    }
+    console.log(`Updated hashtags on ${updated} posts`);
+};
+
+backfill()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
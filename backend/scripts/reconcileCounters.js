@@ -0,0 +1,61 @@
+// Moves likes still embedded in Post.likes / Comment.likes into the Like collection, then
+// recomputes every denormalized counter (likes, comments, followers, following, posts).
+// Safe to re-run. Usage: npm run reconcile:counters
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Like from '../models/Like.js';
+import { reconcileCounters } from '../utils/counters.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+// The likes arrays are no longer in the schemas, so read them through the raw collections.
+const migrateEmbeddedLikes = async (Model, toLike) => {
+    let migrated = 0;
+    let ops = [];
+    const flush = async () => {
+        // Unordered with upserts so likes already copied on an earlier run are skipped
+        await Like.bulkWrite(ops, { ordered: false });
+        migrated += ops.length;
+        ops = [];
+    };
+    const cursor = Model.collection.find({ 'likes.0': { $exists: true } }, { projection: { likes: 1, post: 1 } });
+    for await (const doc of cursor) {
+        for (const user of doc.likes) {
+            const like = toLike(doc, user);
+            ops.push({ updateOne: { filter: like, update: { $setOnInsert: like }, upsert: true } });
+            if (ops.length === BATCH_SIZE) {
+                await flush();
+            }
+        }
+    }
+    if (ops.length > 0) {
+        await flush();
+    }
+    await Model.collection.updateMany({ likes: { $exists: true } }, { $unset: { likes: '' } });
+    return migrated;
+};
+
+const reconcile = async () => {
+    await connectDB();
+    await Promise.all([Like.syncIndexes(), Post.syncIndexes(), User.syncIndexes()]);
+    const postLikes = await migrateEmbeddedLikes(Post, (post, user) => ({ user, post: post._id, comment: null }));
+    const commentLikes = await migrateEmbeddedLikes(Comment, (comment, user) => ({ user, post: comment.post, comment: comment._id }));
+    console.log(`Migrated ${postLikes} post likes and ${commentLikes} comment likes`);
+    const results = await reconcileCounters();
+    for (const [counter, count] of Object.entries(results)) {
+        console.log(`${counter}: ${count} documents with a non-zero count`);
+    }
+};
+
+reconcile()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
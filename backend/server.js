@@ -1,3 +1,4 @@
+import http from 'http';
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
@@ -7,17 +8,50 @@ import userRoutes from './routes/users.js';
 import postRoutes from './routes/posts.js';
 import commentRoutes from './routes/comments.js';
 import feedRoutes from './routes/feed.js';
+import uploadRoutes from './routes/uploads.js';
+import storyRoutes from './routes/stories.js';
+import conversationRoutes from './routes/conversations.js';
+import notificationRoutes from './routes/notifications.js';
+import sessionRoutes from './routes/sessions.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import followRequestRoutes from './routes/followRequests.js';
+import mentionRoutes from './routes/mentions.js';
+import tagRoutes from './routes/tags.js';
+import searchRoutes from './routes/search.js';
+import collectionRoutes from './routes/collections.js';
+import { getLocalUploadDir } from './utils/storage.js';
+import { sweepExpiredStoryMedia } from './utils/media.js';
+import { attachRealtime } from './utils/realtime.js';
 dotenv.config();
 connectDB();
 
 const app = express();
+// Needed behind a reverse proxy so req.ip (shown in the session list) is the client address
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 app.use(cors());
 app.use(express.json());
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/feed', feedRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/stories', storyRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/follow-requests', followRequestRoutes);
+app.use('/api/mentions', mentionRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/collections', collectionRoutes);
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+    app.use('/uploads', express.static(getLocalUploadDir()));
+}
 app.get('/api/health', (req, res) => {
     res.status(200).json({
         success: true,
@@ -30,7 +64,14 @@ app.use((req, res) => {
         message: 'Route not found'
     });
 });
+const STORY_MEDIA_SWEEP_INTERVAL = 15 * 60 * 1000;
+const storyMediaSweep = setInterval(() => {
+    sweepExpiredStoryMedia().catch(error => console.error('Story media sweep failed:', error));
+}, STORY_MEDIA_SWEEP_INTERVAL);
+storyMediaSweep.unref();
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = http.createServer(app);
+attachRealtime(server);
+server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
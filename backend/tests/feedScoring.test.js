@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeAffinities, scoreFeedPost, rankFeedPosts } from '../utils/feedScoring.js';
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000);
+
+const ALICE = '65a000000000000000000001';
+const BOB = '65a000000000000000000002';
+
+const post = (id, fields = {}) => ({
+    _id: `65b0000000000000000000${id}`,
+    user: BOB,
+    likeCount: 0,
+    commentCount: 0,
+    createdAt: NOW,
+    ...fields
+});
+
+test('computeAffinities adds up likes and double-weighted comments per author, log-scaled', () => {
+    const affinities = computeAffinities([
+        { author: ALICE, likes: 3 },
+        { author: ALICE, comments: 2 },
+        { author: BOB, likes: 1 }
+    ]);
+    assert.equal(affinities.size, 2);
+    assert.equal(affinities.get(ALICE), Math.log1p(7));
+    assert.equal(affinities.get(BOB), Math.log1p(1));
+});
+
+test('scoreFeedPost scores a fresh post with no signals as 1 and halves it every 24 hours', () => {
+    const affinities = new Map();
+    assert.equal(scoreFeedPost(post('01'), { affinities, now: NOW }), 1);
+    assert.equal(scoreFeedPost(post('01', { createdAt: hoursAgo(24) }), { affinities, now: NOW }), 0.5);
+    assert.equal(scoreFeedPost(post('01', { createdAt: hoursAgo(48) }), { affinities, now: NOW }), 0.25);
+});
+
+test('scoreFeedPost lifts posts from authors the viewer engages with and posts gaining engagement', () => {
+    const affinities = computeAffinities([{ author: ALICE, likes: 4 }]);
+    assert.equal(scoreFeedPost(post('01', { user: ALICE }), { affinities, now: NOW }), 1 + 0.5 * Math.log1p(4));
+    // 2 likes + 2 * 1 comment over the two hours of padding: velocity 2
+    assert.equal(scoreFeedPost(post('01', { likeCount: 2, commentCount: 1 }), { affinities, now: NOW }), 1.5);
+});
+
+test('rankFeedPosts orders by score and breaks ties by the higher _id', () => {
+    const context = { affinities: computeAffinities([{ author: ALICE, comments: 3 }]), now: NOW };
+    const posts = [
+        post('01', { createdAt: hoursAgo(30) }),
+        post('02'),
+        post('03'),
+        post('04', { user: ALICE, createdAt: hoursAgo(2) }),
+        post('05', { likeCount: 40, createdAt: hoursAgo(3) })
+    ];
+    const expected = ['05', '04', '03', '02', '01'].map(id => `65b0000000000000000000${id}`);
+    assert.deepEqual(rankFeedPosts(posts, context).map(({ post: p }) => p._id), expected);
+    // Same ranking whatever order the candidates come in
+    assert.deepEqual(rankFeedPosts([...posts].reverse(), context).map(({ post: p }) => p._id), expected);
+});
@@ -0,0 +1,46 @@
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Follow from '../models/Follow.js';
+import Like from '../models/Like.js';
+
+// Call after a Follow row is actually created (delta 1) or removed (delta -1).
+const adjustFollowCounts = async (followerId, followingId, delta) => {
+    await User.bulkWrite([
+        { updateOne: { filter: { _id: followerId }, update: { $inc: { followingCount: delta } } } },
+        { updateOne: { filter: { _id: followingId }, update: { $inc: { followerCount: delta } } } }
+    ]);
+};
+
+// Writes counts (an aggregate result of { _id, count }) onto Model.field, zeroing every
+// document that has none.
+const applyCounts = async (Model, field, counts) => {
+    await Model.updateMany({}, { $set: { [field]: 0 } });
+    const ops = counts.map(({ _id, count }) => ({
+        updateOne: { filter: { _id }, update: { $set: { [field]: count } } }
+    }));
+    if (ops.length > 0) {
+        await Model.bulkWrite(ops, { ordered: false });
+    }
+    return ops.length;
+};
+
+const countBy = (Model, match, field) => Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+]);
+
+// Recomputes every denormalized counter from the source collections. Counts that change
+// while this runs can be off by those changes, so run it when traffic is quiet.
+const reconcileCounters = async () => {
+    const results = {};
+    results.postLikes = await applyCounts(Post, 'likeCount', await countBy(Like, { comment: null }, 'post'));
+    results.commentLikes = await applyCounts(Comment, 'likeCount', await countBy(Like, { comment: { $ne: null } }, 'comment'));
+    results.postComments = await applyCounts(Post, 'commentCount', await countBy(Comment, { deleted: { $ne: true } }, 'post'));
+    results.followers = await applyCounts(User, 'followerCount', await countBy(Follow, {}, 'following'));
+    results.following = await applyCounts(User, 'followingCount', await countBy(Follow, {}, 'follower'));
+    results.posts = await applyCounts(User, 'postCount', await countBy(Post, {}, 'user'));
+    return results;
+};
+
+export { adjustFollowCounts, reconcileCounters };
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Pagination cursors are opaque to clients: base64url-encoded JSON of whatever the
+// listing needs to resume after its last item.
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+// Returns null for a missing or malformed cursor so callers can start from the beginning or reject it.
+const decodeCursor = (cursor) => {
+    if (!cursor) {
+        return null;
+    }
+    try {
+        const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return data && typeof data === 'object' ? data : null;
+    } catch {
+        return null;
+    }
+};
+
+// Keyset pagination for listings sorted on fields, with _id last to break ties. Listings are
+// newest first unless order is 1. Unlike skip/limit, pages don't shift when new items arrive.
+const NEWEST_FIRST = ['createdAt', '_id'];
+
+const parseCursorValue = (field, value) => {
+    if (field === '_id') {
+        return mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(String(value)) : null;
+    }
+    if (field === 'createdAt') {
+        const date = new Date(value);
+        return typeof value === 'string' && !Number.isNaN(date.getTime()) ? date : null;
+    }
+    return typeof value === 'number' ? value : null;
+};
+
+// The sort values of the last item seen, keyed by field, or null unless cursor is one
+// pageOf handed out for the same fields.
+const parsePageCursor = (cursor, fields = NEWEST_FIRST) => {
+    const data = decodeCursor(cursor);
+    if (!Array.isArray(data) || data.length !== fields.length) {
+        return null;
+    }
+    const after = {};
+    for (const [i, field] of fields.entries()) {
+        after[field] = parseCursorValue(field, data[i]);
+        if (after[field] === null) {
+            return null;
+        }
+    }
+    return after;
+};
+
+const pageSort = (fields = NEWEST_FIRST, order = -1) => Object.fromEntries(fields.map(field => [field, order]));
+
+// Narrows filter to the items that sort after the cursor.
+const afterCursor = (filter, after, fields = NEWEST_FIRST, order = -1) => {
+    if (!after) {
+        return filter;
+    }
+    const keyset = fields.map((field, i) => ({
+        ...Object.fromEntries(fields.slice(0, i).map(earlier => [earlier, after[earlier]])),
+        [field]: { [order === 1 ? '$gt' : '$lt']: after[field] }
+    }));
+    return { $and: [filter, { $or: keyset }] };
+};
+
+// docs must be fetched with limit + 1; the extra one only tells whether there is another page.
+const pageOf = (docs, limit, fields = NEWEST_FIRST) => {
+    const items = docs.slice(0, limit);
+    const last = items[items.length - 1];
+    return {
+        items,
+        nextCursor: docs.length > limit ? encodeCursor(fields.map(field => last[field])) : null
+    };
+};
+
+export { encodeCursor, decodeCursor, NEWEST_FIRST, parsePageCursor, pageSort, afterCursor, pageOf };
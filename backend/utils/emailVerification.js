@@ -0,0 +1,34 @@
+import jwt from 'jsonwebtoken';
+import { sendMail, clientUrl } from './mail.js';
+
+// The audience keeps these links from ever being accepted as access tokens (and vice versa).
+const EMAIL_TOKEN_AUDIENCE = 'email-verification';
+
+// The link is bound to the address it was sent to, so a link for an old or abandoned
+// pending address stops working as soon as the user asks for a different one.
+const signEmailToken = (user, email) => jwt.sign({ id: user._id, email }, process.env.JWT_SECRET, {
+    audience: EMAIL_TOKEN_AUDIENCE,
+    expiresIn: process.env.EMAIL_VERIFY_EXPIRE || '24h'
+});
+
+const verifyEmailToken = (token) => {
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET, { audience: EMAIL_TOKEN_AUDIENCE });
+    } catch (error) {
+        return null;
+    }
+};
+
+const sendVerificationEmail = (user, email = user.email) => {
+    const isChange = email !== user.email;
+    const link = clientUrl(`/verify-email/${signEmailToken(user, email)}`);
+    return sendMail({
+        to: email,
+        subject: isChange ? 'Confirm your new email address' : 'Verify your email address',
+        text: isChange
+            ? `Hi ${user.username},\n\nConfirm ${email} as the new email for your account:\n${link}\n\nYour current address stays in use until you do.`
+            : `Hi ${user.username},\n\nConfirm your email address to finish setting up your account:\n${link}`
+    });
+};
+
+export { sendVerificationEmail, verifyEmailToken };
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Follow from '../models/Follow.js';
+import { getBlockedUserIds, getMutedUserIds, getHiddenPrivateUserIds } from './privacy.js';
+import { pageOfRanking } from './rankingSnapshots.js';
+
+// Only posts from this window are ranked; older ones would score near zero anyway
+const EXPLORE_WINDOW_DAYS = 30;
+// A comment takes more effort than a like, so it counts for more
+const COMMENT_WEIGHT = 2;
+// How quickly a post sinks as it ages: score = engagement / (ageHours + 2) ^ GRAVITY
+const GRAVITY = 1.5;
+// Only this many posts are ranked for one scrolling session
+const MAX_RANKED = 500;
+
+// Posts from accounts the viewer doesn't follow, ranked by engagement with time decay. The
+// ranking is taken once for the first page and later pages continue through that same list,
+// so posts gaining likes or ageing while the viewer scrolls can't be skipped or repeated.
+// Resolves to null once the ranking behind after has expired.
+const getExplorePosts = async (viewerId, { after = null, limit }) => {
+    const [following, blockedIds, mutedIds] = await Promise.all([
+        Follow.find({ follower: viewerId }).distinct('following'),
+        getBlockedUserIds(viewerId),
+        getMutedUserIds(viewerId)
+    ]);
+    const hiddenIds = [...blockedIds, ...mutedIds];
+    const page = await pageOfRanking(viewerId, 'explore', { after, limit }, async () => {
+        const now = new Date();
+        const excludedIds = [viewerId, ...following, ...hiddenIds]
+            .map(id => new mongoose.Types.ObjectId(String(id)));
+        const ranked = await Post.aggregate([
+            {
+                $match: {
+                    user: { $nin: excludedIds },
+                    createdAt: { $gte: new Date(now - EXPLORE_WINDOW_DAYS * 24 * 60 * 60 * 1000) }
+                }
+            },
+            // Everyone not followed is a stranger here, so private accounts are always left out
+            {
+                $lookup: {
+                    from: 'users',
+                    let: { userId: '$user' },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+                        { $project: { isPrivate: 1 } }
+                    ],
+                    as: 'owner'
+                }
+            },
+            { $match: { 'owner.isPrivate': { $ne: true }, 'owner.0': { $exists: true } } },
+            {
+                $addFields: {
+                    ageHours: { $divide: [{ $subtract: [now, '$createdAt'] }, 60 * 60 * 1000] }
+                }
+            },
+            {
+                $addFields: {
+                    score: {
+                        $divide: [
+                            { $add: [1, '$likeCount', { $multiply: [COMMENT_WEIGHT, '$commentCount'] }] },
+                            { $pow: [{ $add: ['$ageHours', 2] }, GRAVITY] }
+                        ]
+                    }
+                }
+            },
+            { $sort: { score: -1, _id: -1 } },
+            { $limit: MAX_RANKED },
+            { $project: { _id: 1 } }
+        ]);
+        return ranked.map(post => post._id);
+    });
+    if (!page) {
+        return null;
+    }
+    // Blocks, mutes and accounts going private since the first page still apply
+    const posts = (await Post.find({ _id: { $in: page.ids }, user: { $nin: hiddenIds } })
+        .populate('user', 'username profilePicture')
+        .lean())
+        .filter(post => post.user);
+    const privateIds = await getHiddenPrivateUserIds(viewerId, posts.map(post => post.user._id));
+    const byId = new Map(posts
+        .filter(post => !privateIds.some(id => id.equals(post.user._id)))
+        .map(post => [post._id.toString(), post]));
+    return {
+        posts: page.ids.map(id => byId.get(id.toString())).filter(Boolean),
+        nextCursor: page.nextCursor
+    };
+};
+
+export { getExplorePosts };
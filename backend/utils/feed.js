@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Follow from '../models/Follow.js';
+import HashtagFollow from '../models/HashtagFollow.js';
+import Like from '../models/Like.js';
+import Comment from '../models/Comment.js';
+import SeenPost, { SEEN_POST_LIFETIME_SECONDS } from '../models/SeenPost.js';
+import { getBlockedUserIds, getMutedUserIds, getHiddenPrivateUserIds } from './privacy.js';
+import { pageOfRanking } from './rankingSnapshots.js';
+import { computeAffinities, rankFeedPosts } from './feedScoring.js';
+
+const FEED_MODES = ['following', 'for_you'];
+// Older interactions say little about who the viewer cares about now
+const AFFINITY_WINDOW_DAYS = 90;
+// Ranking only looks at the newest posts, and seen posts are remembered for as long as that
+const RANKED_WINDOW_MS = SEEN_POST_LIFETIME_SECONDS * 1000;
+const MAX_CANDIDATES = 500;
+
+// Posts from the viewer and accounts they follow, plus public posts under hashtags they follow.
+const getFeedFilter = async (viewerId) => {
+    const followingIds = await Follow.find({ follower: viewerId }).distinct('following');
+    followingIds.push(viewerId);
+    const hiddenIds = [
+        ...await getBlockedUserIds(viewerId),
+        ...await getMutedUserIds(viewerId)
+    ];
+    const feedFilter = { user: { $in: followingIds, $nin: hiddenIds } };
+    const followedTags = await HashtagFollow.find({ user: viewerId }).distinct('tag');
+    if (followedTags.length === 0) {
+        return feedFilter;
+    }
+    // Followed hashtags also bring in posts from accounts the viewer doesn't follow, as long as they're public
+    const tagAuthorIds = await Post.distinct('user', {
+        hashtags: { $in: followedTags },
+        user: { $nin: [...followingIds, ...hiddenIds] }
+    });
+    const privateIds = await getHiddenPrivateUserIds(viewerId, tagAuthorIds);
+    return {
+        $or: [
+            feedFilter,
+            { hashtags: { $in: followedTags }, user: { $nin: [...hiddenIds, ...privateIds] } }
+        ]
+    };
+};
+
+// How many of each author's posts the viewer liked or commented on recently.
+const interactionsByAuthor = (Model, match, field) => Model.aggregate([
+    { $match: match },
+    { $lookup: { from: 'posts', localField: 'post', foreignField: '_id', as: 'post' } },
+    { $unwind: '$post' },
+    { $group: { _id: '$post.user', [field]: { $sum: 1 } } },
+    { $project: { _id: 0, author: '$_id', [field]: 1 } }
+]);
+
+const getAffinities = async (viewerId, since) => {
+    const user = new mongoose.Types.ObjectId(String(viewerId));
+    const [likes, comments] = await Promise.all([
+        interactionsByAuthor(Like, { user, comment: null, createdAt: { $gte: since } }, 'likes'),
+        interactionsByAuthor(Comment, { user, deleted: { $ne: true }, createdAt: { $gte: since } }, 'comments')
+    ]);
+    return computeAffinities([...likes, ...comments]);
+};
+
+// Recent feed posts the viewer hasn't seen yet, ranked by feedScoring. The order is worked out
+// once for the first page and later pages continue that same list, so posts gaining likes or
+// the viewer's affinities shifting mid-scroll can't skip or repeat anything. Resolves to null
+// once the ranking behind after has expired.
+const getRankedFeed = async (viewerId, { after = null, limit }) => {
+    const feedFilter = await getFeedFilter(viewerId);
+    const page = await pageOfRanking(viewerId, 'for_you', { after, limit }, async () => {
+        const now = new Date();
+        const [seenIds, affinities] = await Promise.all([
+            SeenPost.find({ user: viewerId }).distinct('post'),
+            getAffinities(viewerId, new Date(now - AFFINITY_WINDOW_DAYS * 24 * 60 * 60 * 1000))
+        ]);
+        const candidates = await Post.find({
+            $and: [
+                feedFilter,
+                { _id: { $nin: seenIds }, createdAt: { $gte: new Date(now - RANKED_WINDOW_MS) } }
+            ]
+        })
+            .select('user likeCount commentCount createdAt')
+            .sort({ createdAt: -1 })
+            .limit(MAX_CANDIDATES)
+            .lean();
+        return rankFeedPosts(candidates, { affinities, now }).map(({ post }) => post._id);
+    });
+    if (!page) {
+        return null;
+    }
+    // Checked against the feed again in case the viewer blocked or unfollowed someone since the first page
+    const posts = await Post.find({ $and: [feedFilter, { _id: { $in: page.ids } }] })
+        .populate('user', 'username profilePicture')
+        .populate('mentions', 'username');
+    const byId = new Map(posts.map(post => [post._id.toString(), post]));
+    return {
+        posts: page.ids.map(id => byId.get(id.toString())).filter(Boolean),
+        nextCursor: page.nextCursor
+    };
+};
+
+const markPostsSeen = async (viewerId, postIds) => {
+    await SeenPost.bulkWrite(postIds.map(post => ({
+        updateOne: {
+            filter: { user: viewerId, post },
+            update: { $setOnInsert: { user: viewerId, post } },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+export { FEED_MODES, getFeedFilter, getRankedFeed, markPostsSeen };
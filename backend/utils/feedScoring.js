@@ -0,0 +1,47 @@
+// Scoring for the ranked ("For You") feed. Everything here works on plain data and takes
+// the current time as an argument, so the same inputs always give the same ranking.
+
+// A comment takes more effort than a like, both as a signal of affinity and of engagement
+const COMMENT_WEIGHT = 2;
+// How much each factor can lift a post; recency multiplies the result
+const AFFINITY_WEIGHT = 0.5;
+const VELOCITY_WEIGHT = 0.25;
+// A post's recency factor halves every this many hours
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+// interactions: [{ author, likes, comments }], how often the viewer engaged with each author's
+// posts. Returns a Map of author id to affinity, log-scaled so the first few interactions
+// count most and one very close friend doesn't drown out everybody else.
+const computeAffinities = (interactions) => {
+    const totals = new Map();
+    for (const { author, likes = 0, comments = 0 } of interactions) {
+        const key = String(author);
+        totals.set(key, (totals.get(key) || 0) + likes + COMMENT_WEIGHT * comments);
+    }
+    return new Map([...totals].map(([key, total]) => [key, Math.log1p(total)]));
+};
+
+const ageInHours = (createdAt, now) => Math.max(0, (now - new Date(createdAt)) / (60 * 60 * 1000));
+
+// Engagement per hour, with two hours of padding so a new post's first like doesn't send it to the top
+const engagementVelocity = (post, now) => {
+    const engagement = (post.likeCount || 0) + COMMENT_WEIGHT * (post.commentCount || 0);
+    return engagement / (ageInHours(post.createdAt, now) + 2);
+};
+
+const recency = (post, now) => 0.5 ** (ageInHours(post.createdAt, now) / RECENCY_HALF_LIFE_HOURS);
+
+// post needs user (the author's id), likeCount, commentCount and createdAt.
+const scoreFeedPost = (post, { affinities, now }) => {
+    const affinity = affinities.get(String(post.user)) || 0;
+    return (1 + AFFINITY_WEIGHT * affinity)
+        * (1 + VELOCITY_WEIGHT * engagementVelocity(post, now))
+        * recency(post, now);
+};
+
+// [{ post, score }], highest score first. Equal scores go to the higher _id so the order is total.
+const rankFeedPosts = (posts, context) => posts
+    .map(post => ({ post, score: scoreFeedPost(post, context) }))
+    .sort((a, b) => (b.score - a.score) || (String(a.post._id) < String(b.post._id) ? 1 : -1));
+
+export { computeAffinities, scoreFeedPost, rankFeedPosts };
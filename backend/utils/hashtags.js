@@ -0,0 +1,21 @@
+// Letters and digits from any script, so #café and #東京 are tags too.
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_]+)/gu;
+const MAX_HASHTAGS = 30;
+const MAX_HASHTAG_LENGTH = 100;
+
+// Tags are stored lowercased and NFC-normalized so #Travel and #travel are one tag.
+const normalizeHashtag = (tag = '') => tag.replace(/^#/, '').normalize('NFC').toLowerCase();
+
+const extractHashtags = (text = '') => {
+    const tags = new Set();
+    for (const match of text.matchAll(HASHTAG_PATTERN)) {
+        const tag = normalizeHashtag(match[2]);
+        // Pure numbers are usually "#1"-style rankings rather than topics
+        if (tag.length <= MAX_HASHTAG_LENGTH && !/^\d+$/.test(tag)) {
+            tags.add(tag);
+        }
+    }
+    return [...tags].slice(0, MAX_HASHTAGS);
+};
+
+export { normalizeHashtag, extractHashtags };
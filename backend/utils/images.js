@@ -0,0 +1,42 @@
+import sharp from 'sharp';
+
+const SUPPORTED_FORMATS = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp'
+};
+const VARIANTS = [
+    { name: 'thumbnail', width: 150, height: 150, fit: 'cover' },
+    { name: 'small', width: 320 },
+    { name: 'medium', width: 640 },
+    { name: 'large', width: 1080 }
+];
+
+// Re-encodes the upload (which drops EXIF and other metadata) and builds the resized variants.
+// Throws if the buffer is not a decodable image in one of the supported formats.
+const processImage = async (buffer) => {
+    const { format } = await sharp(buffer).metadata();
+    if (!SUPPORTED_FORMATS[format]) {
+        throw new Error(`Unsupported image format: ${format}`);
+    }
+    const base = sharp(buffer, { failOn: 'error' }).rotate();
+    const original = await base.clone().toFormat(format).toBuffer({ resolveWithObject: true });
+    const variants = await Promise.all(VARIANTS.map(async ({ name, width, height, fit }) => {
+        const { data, info } = await base.clone()
+            .resize({ width, height, fit: fit || 'inside', withoutEnlargement: true })
+            .toFormat(format)
+            .toBuffer({ resolveWithObject: true });
+        return { name, data, width: info.width, height: info.height, size: info.size };
+    }));
+    return {
+        format,
+        mimeType: SUPPORTED_FORMATS[format],
+        data: original.data,
+        width: original.info.width,
+        height: original.info.height,
+        size: original.info.size,
+        variants
+    };
+};
+
+export { processImage, SUPPORTED_FORMATS };
@@ -0,0 +1,56 @@
+import Like from '../models/Like.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+
+const DUPLICATE_KEY = 11000;
+
+// The unique index on Like decides races between concurrent likes, so the counter is only
+// bumped by the request that actually created (or removed) the row.
+// Pass comment to like a comment, otherwise the post itself is liked. Returns the new
+// likeCount, or null if the like already existed.
+const addLike = async (userId, { post, comment = null }) => {
+    try {
+        await Like.create({ user: userId, post, comment });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY) {
+            return null;
+        }
+        throw error;
+    }
+    const Model = comment ? Comment : Post;
+    const updated = await Model.findByIdAndUpdate(comment || post, { $inc: { likeCount: 1 } }, { new: true })
+        .select('likeCount');
+    return updated ? updated.likeCount : 0;
+};
+
+// Returns the new likeCount, or null if there was no like to remove.
+const removeLike = async (userId, { post, comment = null }) => {
+    const removed = await Like.findOneAndDelete({ user: userId, post, comment });
+    if (!removed) {
+        return null;
+    }
+    const Model = comment ? Comment : Post;
+    const updated = await Model.findByIdAndUpdate(comment || post, { $inc: { likeCount: -1 } }, { new: true })
+        .select('likeCount');
+    return updated ? updated.likeCount : 0;
+};
+
+const toPlain = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Adds the viewer's isLiked to a page of posts with a single query.
+const withPostLikes = async (viewerId, posts) => {
+    const likes = await Like.find({ user: viewerId, post: { $in: posts.map(p => p._id) }, comment: null })
+        .select('post');
+    const liked = new Set(likes.map(like => like.post.toString()));
+    return posts.map(post => ({ ...toPlain(post), isLiked: liked.has(post._id.toString()) }));
+};
+
+// Same for a page of comments or replies.
+const withCommentLikes = async (viewerId, comments) => {
+    const likes = await Like.find({ user: viewerId, comment: { $in: comments.map(c => c._id) } })
+        .select('comment');
+    const liked = new Set(likes.map(like => like.comment.toString()));
+    return comments.map(comment => ({ ...toPlain(comment), isLiked: liked.has(comment._id.toString()) }));
+};
+
+export { addLike, removeLike, withPostLikes, withCommentLikes, toPlain };
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Prints messages to stdout, handy in development.
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+});
+
+// Writes each message as a JSON file under MAIL_DIR so tests and local stubs can read them back.
+const createFileTransport = () => {
+    const dir = path.resolve(process.env.MAIL_DIR || 'mail');
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.mkdir(dir, { recursive: true });
+            const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+            await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+        }
+    };
+};
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+const transports = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+let transport = null;
+
+// A transport only needs send({ from, to, subject, text, html }).
+const registerMailTransport = (name, factory) => {
+    transports[name] = factory;
+    transport = null;
+};
+
+const getMailTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+const sendMail = ({ to, subject, text, html }) => getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Instagram Clone <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+});
+
+// Links in emails point at the frontend, which calls back into the API.
+const clientUrl = (pathname) => `${(process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+
+export { sendMail, registerMailTransport, clientUrl };
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import Media from '../models/Media.js';
+import Story from '../models/Story.js';
+import { getStorage } from './storage.js';
+
+const EXTENSIONS = {
+    jpeg: 'jpg',
+    png: 'png',
+    webp: 'webp'
+};
+
+// Saves an image produced by processImage() and its variants, and records them as a Media asset.
+const storeImage = async (ownerId, image) => {
+    const storage = getStorage();
+    const prefix = `${ownerId}/${crypto.randomUUID()}`;
+    const extension = EXTENSIONS[image.format];
+    const key = `${prefix}/original.${extension}`;
+    const url = await storage.save(key, image.data, image.mimeType);
+    const variants = await Promise.all(image.variants.map(async (variant) => {
+        const variantKey = `${prefix}/${variant.name}.${extension}`;
+        return {
+            name: variant.name,
+            key: variantKey,
+            url: await storage.save(variantKey, variant.data, image.mimeType),
+            width: variant.width,
+            height: variant.height,
+            size: variant.size
+        };
+    }));
+    return Media.create({
+        owner: ownerId,
+        driver: storage.name,
+        key,
+        url,
+        mimeType: image.mimeType,
+        size: image.size,
+        width: image.width,
+        height: image.height,
+        variants
+    });
+};
+
+const deleteMedia = async (media) => {
+    const storage = getStorage();
+    const keys = [media.key, ...media.variants.map(v => v.key)];
+    await Promise.all(keys.map(key => storage.remove(key)));
+    await media.deleteOne();
+};
+
+// Expired stories are removed by their TTL index, which leaves their images behind. An image
+// is uploaded before its story is created, so only images older than the cutoff can belong
+// to an expired story.
+const sweepExpiredStoryMedia = async () => {
+    const candidates = await Media.find({ story: { $ne: null }, createdAt: { $lte: Story.activeSince() } });
+    if (candidates.length === 0) {
+        return 0;
+    }
+    const activeIds = await Story.find({
+        _id: { $in: candidates.map(media => media.story) },
+        createdAt: { $gt: Story.activeSince() }
+    }).distinct('_id');
+    const expired = candidates.filter(media => !activeIds.some(id => id.equals(media.story)));
+    await Promise.all(expired.map(deleteMedia));
+    return expired.length;
+};
+
+export { storeImage, deleteMedia, sweepExpiredStoryMedia };
@@ -0,0 +1,33 @@
+import User from '../models/User.js';
+
+// An @ only starts a mention at a word boundary, so emails like a@b.com are left alone.
+const MENTION_PATTERN = /(^|[^\w@])@([\w.]{3,30})/g;
+const MAX_MENTIONS = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const extractMentionedUsernames = (text = '') => {
+    const names = new Map();
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        // Trailing dots are almost always punctuation rather than part of the name
+        const name = match[2].replace(/\.+$/, '');
+        if (name.length >= 3 && !names.has(name.toLowerCase())) {
+            names.set(name.toLowerCase(), name);
+        }
+    }
+    return [...names.values()].slice(0, MAX_MENTIONS);
+};
+
+// Resolves the @names in a piece of text to the ids of existing users.
+const resolveMentions = async (text) => {
+    const names = extractMentionedUsernames(text);
+    if (names.length === 0) {
+        return [];
+    }
+    const users = await User.find({
+        username: { $in: names.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) }
+    }).select('_id');
+    return users.map(user => user._id);
+};
+
+export { extractMentionedUsernames, resolveMentions };
@@ -0,0 +1,40 @@
+import Notification from '../models/Notification.js';
+import { publishToUser, publishToUsers } from './realtime.js';
+
+const buildGroupKey = ({ type, post, createdAt }) => {
+    if (!post) {
+        return `${type}:${createdAt.toISOString().slice(0, 10)}`;
+    }
+    return `${type}:${post}`;
+};
+
+const notify = async ({ recipient, actor, type, post = null, comment = null }) => {
+    if (recipient.toString() === actor.toString()) {
+        return null;
+    }
+    const createdAt = new Date();
+    const notification = await Notification.create({
+        recipient,
+        actor,
+        type,
+        post,
+        comment,
+        groupKey: buildGroupKey({ type, post, createdAt }),
+        createdAt
+    });
+    publishToUser(recipient, 'notification', {
+        type,
+        groupKey: notification.groupKey,
+        post
+    });
+    return notification;
+};
+
+// Removes the notification created by an action that has since been undone.
+const retractNotification = async (filter) => {
+    const recipients = await Notification.distinct('recipient', filter);
+    await Notification.deleteMany(filter);
+    publishToUsers(recipients, 'notification:retracted', {});
+};
+
+export { notify, retractNotification };
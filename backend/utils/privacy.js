@@ -0,0 +1,87 @@
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Block from '../models/Block.js';
+import Mute from '../models/Mute.js';
+import { notify, retractNotification } from './notifications.js';
+import { adjustFollowCounts } from './counters.js';
+
+// Everyone userId has blocked or been blocked by; blocks hide both sides from each other.
+const getBlockedUserIds = async (userId) => {
+    const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+        .select('blocker blocked');
+    return blocks.map(block => (block.blocker.equals(userId) ? block.blocked : block.blocker));
+};
+
+const isBlockedBetween = async (userId, otherId) => {
+    const block = await Block.exists({
+        $or: [
+            { blocker: userId, blocked: otherId },
+            { blocker: otherId, blocked: userId }
+        ]
+    });
+    return !!block;
+};
+
+const getMutedUserIds = async (userId) => {
+    const mutes = await Mute.find({ muter: userId }).select('muted');
+    return mutes.map(mute => mute.muted);
+};
+
+// Whether viewerId may see owner's posts and follower lists. owner needs _id and isPrivate.
+const canViewContent = async (viewerId, owner) => {
+    if (!owner.isPrivate || owner._id.toString() === viewerId.toString()) {
+        return true;
+    }
+    const follow = await Follow.exists({ follower: viewerId, following: owner._id });
+    return !!follow;
+};
+
+// Same rule applied to a single post, whose user may or may not be populated.
+const canViewPost = async (viewerId, post) => {
+    const owner = await User.findById(post.user._id || post.user).select('isPrivate');
+    return !!owner && canViewContent(viewerId, owner);
+};
+
+// The private accounts among authorIds whose posts viewerId can't see, for filtering listings
+// that mix posts from people the viewer does and doesn't follow.
+const getHiddenPrivateUserIds = async (viewerId, authorIds) => {
+    const privateIds = await User.find({ _id: { $in: authorIds, $ne: viewerId }, isPrivate: true }).distinct('_id');
+    if (privateIds.length === 0) {
+        return [];
+    }
+    const followed = await Follow.find({ follower: viewerId, following: { $in: privateIds } }).distinct('following');
+    return privateIds.filter(id => !followed.some(followedId => followedId.equals(id)));
+};
+
+const privateAccountResponse = (res) => res.status(403).json({
+    success: false,
+    message: 'This account is private'
+});
+
+// Turns a pending request into a real follow and tells both sides.
+const approveFollowRequest = async (request) => {
+    const result = await Follow.updateOne(
+        { follower: request.requester, following: request.target },
+        { $setOnInsert: { follower: request.requester, following: request.target } },
+        { upsert: true }
+    );
+    if (result.upsertedCount > 0) {
+        await adjustFollowCounts(request.requester, request.target, 1);
+    }
+    await FollowRequest.deleteOne({ _id: request._id });
+    await retractNotification({ type: 'follow_request', actor: request.requester, recipient: request.target });
+    await notify({ recipient: request.target, actor: request.requester, type: 'follow' });
+    await notify({ recipient: request.requester, actor: request.target, type: 'follow_accept' });
+};
+
+export {
+    getBlockedUserIds,
+    isBlockedBetween,
+    getMutedUserIds,
+    canViewContent,
+    canViewPost,
+    getHiddenPrivateUserIds,
+    privateAccountResponse,
+    approveFollowRequest
+};
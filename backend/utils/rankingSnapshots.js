@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import RankingSnapshot from '../models/RankingSnapshot.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+
+// Returns null unless cursor is one pageOfRanking handed out.
+const parseRankingCursor = (cursor) => {
+    const data = decodeCursor(cursor);
+    if (!data || !mongoose.isValidObjectId(data.snapshot) || !Number.isInteger(data.position) || data.position < 1) {
+        return null;
+    }
+    return { snapshot: new mongoose.Types.ObjectId(String(data.snapshot)), position: data.position };
+};
+
+// One page of post ids from a ranked listing. The first page calls rank() for the full ordered
+// list of ids and keeps it as a snapshot when there is more to come; later pages read on from
+// that snapshot by position. Resolves to null if the snapshot behind after has expired.
+const pageOfRanking = async (viewerId, listing, { after = null, limit }, rank) => {
+    if (!after) {
+        const ids = await rank();
+        const snapshot = ids.length > limit
+            ? await RankingSnapshot.create({ user: viewerId, listing, posts: ids })
+            : null;
+        return {
+            ids: ids.slice(0, limit),
+            nextCursor: snapshot ? encodeCursor({ snapshot: snapshot._id, position: limit }) : null
+        };
+    }
+    // One extra id tells us if there is another page
+    const snapshot = await RankingSnapshot.findOne({ _id: after.snapshot, user: viewerId, listing })
+        .select({ posts: { $slice: [after.position, limit + 1] } })
+        .lean();
+    if (!snapshot) {
+        return null;
+    }
+    return {
+        ids: snapshot.posts.slice(0, limit),
+        nextCursor: snapshot.posts.length > limit
+            ? encodeCursor({ snapshot: snapshot._id, position: after.position + limit })
+            : null
+    };
+};
+
+export { parseRankingCursor, pageOfRanking };
@@ -0,0 +1,157 @@
+import { WebSocketServer } from 'ws';
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { isBlockedBetween, canViewPost } from './privacy.js';
+
+const REALTIME_PATH = '/ws';
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_POST_SUBSCRIPTIONS = 100;
+
+// Everything lives in this process, so a single node needs no external broker.
+const userSockets = new Map();
+const postSockets = new Map();
+
+const addSocket = (index, key, socket) => {
+    if (!index.has(key)) {
+        index.set(key, new Set());
+    }
+    index.get(key).add(socket);
+};
+
+const removeSocket = (index, key, socket) => {
+    const sockets = index.get(key);
+    if (!sockets) return;
+    sockets.delete(socket);
+    if (sockets.size === 0) {
+        index.delete(key);
+    }
+};
+
+const send = (socket, type, data) => {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify({ type, data }));
+    }
+};
+
+const publishToUser = (userId, type, data) => {
+    (userSockets.get(userId.toString()) || []).forEach(socket => send(socket, type, data));
+};
+
+const publishToUsers = (userIds, type, data) => {
+    userIds.forEach(userId => publishToUser(userId, type, data));
+};
+
+const publishToPost = (postId, type, data) => {
+    (postSockets.get(postId.toString()) || []).forEach(socket => send(socket, type, data));
+};
+
+// Closes the sockets opened with any of the given (now revoked) sessions.
+const disconnectSessions = (userId, sessionIds) => {
+    const revoked = new Set(sessionIds.map(String));
+    (userSockets.get(userId.toString()) || []).forEach(socket => {
+        if (revoked.has(socket.sessionId)) {
+            socket.close(4001, 'Session revoked');
+        }
+    });
+};
+
+// Live counts are only sent for posts the socket's user could open themselves.
+const getViewablePostIds = async (userId, postIds) => {
+    const posts = await Post.find({ _id: { $in: postIds } }).select('user');
+    const viewable = [];
+    for (const post of posts) {
+        if (!(await isBlockedBetween(userId, post.user)) && await canViewPost(userId, post)) {
+            viewable.push(post._id.toString());
+        }
+    }
+    return viewable;
+};
+
+const handleClientMessage = async (socket, raw) => {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        return;
+    }
+    const postIds = Array.isArray(message.posts)
+        ? message.posts.filter(id => mongoose.isValidObjectId(id)).map(String)
+        : [];
+    if (message.type === 'subscribe') {
+        const viewableIds = await getViewablePostIds(socket.userId, postIds.slice(0, MAX_POST_SUBSCRIPTIONS));
+        // The socket may have closed while visibility was being checked
+        if (socket.readyState !== socket.OPEN) return;
+        viewableIds.forEach(postId => {
+            if (socket.posts.size < MAX_POST_SUBSCRIPTIONS) {
+                socket.posts.add(postId);
+                addSocket(postSockets, postId, socket);
+            }
+        });
+    } else if (message.type === 'unsubscribe') {
+        postIds.forEach(postId => {
+            socket.posts.delete(postId);
+            removeSocket(postSockets, postId, socket);
+        });
+    }
+};
+
+const handleConnection = (socket, { user, session }) => {
+    socket.userId = user._id.toString();
+    socket.sessionId = session._id.toString();
+    socket.posts = new Set();
+    socket.isAlive = true;
+    addSocket(userSockets, socket.userId, socket);
+    socket.on('pong', () => {
+        socket.isAlive = true;
+    });
+    socket.on('message', raw => {
+        handleClientMessage(socket, raw).catch(error => console.error('Realtime message failed:', error));
+    });
+    socket.on('close', () => {
+        removeSocket(userSockets, socket.userId, socket);
+        socket.posts.forEach(postId => removeSocket(postSockets, postId, socket));
+    });
+    send(socket, 'ready', { userId: socket.userId });
+};
+
+const rejectUpgrade = (socket, status) => {
+    socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+};
+
+// Browsers cannot set headers on a WebSocket, so the JWT is passed as ?token=.
+const attachRealtime = (server) => {
+    const wss = new WebSocketServer({ noServer: true });
+    server.on('upgrade', async (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== REALTIME_PATH) {
+            return rejectUpgrade(socket, '404 Not Found');
+        }
+        let auth = null;
+        try {
+            const token = url.searchParams.get('token');
+            auth = token ? await authenticateToken(token) : null;
+        } catch (error) {
+            auth = null;
+        }
+        if (!auth) {
+            return rejectUpgrade(socket, '401 Unauthorized');
+        }
+        wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, auth));
+    });
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.isAlive) {
+                return socket.terminate();
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL);
+    heartbeat.unref();
+    wss.on('close', () => clearInterval(heartbeat));
+    return wss;
+};
+
+export { attachRealtime, publishToUser, publishToUsers, publishToPost, disconnectSessions };
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Collection from '../models/Collection.js';
+import SavedPost from '../models/SavedPost.js';
+import { getBlockedUserIds, getHiddenPrivateUserIds } from './privacy.js';
+import { toPlain } from './likes.js';
+
+// Adds the viewer's isSaved and savedTo (collection id, or null when saved loose) to a page of posts.
+const withSavedState = async (viewerId, posts) => {
+    const saved = await SavedPost.find({ user: viewerId, post: { $in: posts.map(p => p._id) } })
+        .select('post inCollection');
+    const byPost = new Map(saved.map(s => [s.post.toString(), s.inCollection]));
+    return posts.map(post => {
+        const key = post._id.toString();
+        return { ...toPlain(post), isSaved: byPost.has(key), savedTo: byPost.get(key) || null };
+    });
+};
+
+const coverImageOf = (post) => post?.media?.[0]?.thumbnailUrl || post?.media?.[0]?.url || post?.imageUrl || null;
+
+// Saved posts stay saved while their author blocks the viewer or goes private, but like the
+// collection listings, counts and covers leave them out meanwhile.
+const getVisibleSavedPostIds = async (userId) => {
+    const savedIds = await SavedPost.find({ user: userId }).distinct('post');
+    const authorIds = await Post.find({ _id: { $in: savedIds } }).distinct('user');
+    const hiddenIds = [
+        ...await getBlockedUserIds(userId),
+        ...await getHiddenPrivateUserIds(userId, authorIds)
+    ];
+    return Post.find({ _id: { $in: savedIds }, user: { $nin: hiddenIds } }).distinct('_id');
+};
+
+// The owner's collections with their post counts and cover images, plus the same for
+// everything they saved ("all").
+const getCollectionSummaries = async (userId) => {
+    const user = new mongoose.Types.ObjectId(String(userId));
+    const visibleIds = await getVisibleSavedPostIds(user);
+    const isVisible = (postId) => visibleIds.some(id => id.equals(postId));
+    const [collections, groups] = await Promise.all([
+        Collection.find({ user }).sort({ createdAt: -1 }).lean(),
+        SavedPost.aggregate([
+            { $match: { user, post: { $in: visibleIds } } },
+            { $sort: { createdAt: -1 } },
+            {
+                $group: {
+                    _id: '$inCollection',
+                    postCount: { $sum: 1 },
+                    latestPost: { $first: '$post' },
+                    latestAt: { $first: '$createdAt' }
+                }
+            }
+        ])
+    ]);
+    const byCollection = new Map(groups.map(group => [String(group._id), group]));
+    const newest = groups.reduce((best, group) => (!best || group.latestAt > best.latestAt ? group : best), null);
+    // A chosen cover that's hidden for now falls back to the newest visible post
+    const coverPostOf = (c) => (c.coverPost && isVisible(c.coverPost)
+        ? c.coverPost
+        : byCollection.get(String(c._id))?.latestPost);
+    const coverIds = [newest?.latestPost, ...collections.map(coverPostOf)].filter(Boolean);
+    const covers = await Post.find({ _id: { $in: coverIds } }).select('media imageUrl').lean();
+    const coverById = new Map(covers.map(post => [post._id.toString(), coverImageOf(post)]));
+    const coverFor = (postId) => (postId ? coverById.get(postId.toString()) || null : null);
+    return {
+        all: {
+            postCount: groups.reduce((total, group) => total + group.postCount, 0),
+            coverImage: coverFor(newest?.latestPost)
+        },
+        collections: collections.map(c => {
+            const group = byCollection.get(String(c._id));
+            return {
+                _id: c._id,
+                name: c.name,
+                coverPost: c.coverPost,
+                coverImage: coverFor(coverPostOf(c)),
+                postCount: group?.postCount || 0,
+                createdAt: c.createdAt
+            };
+        })
+    };
+};
+
+// Drops a deleted post from everyone's saved posts and from any collection cover.
+const removeSavedPost = async (postId) => {
+    await SavedPost.deleteMany({ post: postId });
+    await Collection.updateMany({ coverPost: postId }, { $set: { coverPost: null } });
+};
+
+export { withSavedState, getCollectionSummaries, removeSavedPost };
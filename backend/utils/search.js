@@ -0,0 +1,190 @@
+import User, { SEARCH_COLLATION } from '../models/User.js';
+import Post from '../models/Post.js';
+import Follow from '../models/Follow.js';
+import { normalizeHashtag } from './hashtags.js';
+import { getBlockedUserIds, getHiddenPrivateUserIds } from './privacy.js';
+import { encodeCursor, decodeCursor } from './cursor.js';
+
+const MAX_QUERY_LENGTH = 100;
+const SEARCH_TYPES = ['users', 'hashtags', 'posts'];
+// Accounts the searcher follows (and their posts) rank above equally good matches from strangers
+const FOLLOWED_BOOST = 1.5;
+const USER_FIELDS = { username: 1, displayName: 1, profilePicture: 1, bio: 1 };
+// Results each source contributes to the merged ranking. Pages are cut from that ranking,
+// so this is also how far a search can be scrolled per source.
+const SEARCH_DEPTH = 50;
+
+// Every string starting with prefix, when compared under SEARCH_COLLATION. The collation
+// sorts U+FFFF after all other characters, which makes it a safe upper bound.
+const prefixRange = (prefix) => ({ $gte: prefix, $lt: `${prefix}\uffff` });
+
+const buildContext = async (viewerId) => {
+    const [blockedIds, following] = await Promise.all([
+        getBlockedUserIds(viewerId),
+        Follow.find({ follower: viewerId }).distinct('following')
+    ]);
+    return {
+        viewerId,
+        blockedIds,
+        followingIds: new Set(following.map(id => id.toString()))
+    };
+};
+
+const scoreUser = (user, term) => {
+    const needle = term.toLowerCase();
+    const username = user.username.toLowerCase();
+    const displayName = (user.displayName || '').toLowerCase();
+    let score = (user.score || 0) * 10;
+    if (username === needle) {
+        score += 100;
+    } else if (username.startsWith(needle)) {
+        // Closer to the whole name ranks higher: "ali" favours "alice" over "alistair_99"
+        score += 60 + 20 * (needle.length / username.length);
+    }
+    if (displayName.startsWith(needle)) {
+        score += 40;
+    }
+    return score;
+};
+
+const searchUsers = async (query, context, limit) => {
+    const term = query.replace(/^@/, '').trim();
+    if (!term) {
+        return [];
+    }
+    const notBlocked = { _id: { $nin: context.blockedIds } };
+    // Prefix matches catch names as they're typed; the text index finds whole words in display names and bios
+    const [prefixMatches, textMatches] = await Promise.all([
+        User.find({ ...notBlocked, $or: [{ username: prefixRange(term) }, { displayName: prefixRange(term) }] })
+            .collation(SEARCH_COLLATION)
+            .select(USER_FIELDS)
+            .limit(limit * 2)
+            .lean(),
+        User.find({ ...notBlocked, $text: { $search: term } }, { ...USER_FIELDS, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(limit * 2)
+            .lean()
+    ]);
+    const users = new Map();
+    for (const user of [...textMatches, ...prefixMatches]) {
+        const key = user._id.toString();
+        users.set(key, { ...users.get(key), ...user });
+    }
+    return [...users.values()].map(({ score: textScore, ...user }) => {
+        const isFollowing = context.followingIds.has(user._id.toString());
+        const score = scoreUser({ ...user, score: textScore }, term);
+        return {
+            type: 'user',
+            score: isFollowing ? score * FOLLOWED_BOOST : score,
+            user: { ...user, isFollowing }
+        };
+    });
+};
+
+const searchHashtags = async (query, context, limit) => {
+    const tag = normalizeHashtag(query.trim());
+    // Tags are only letters, digits and underscores, so the prefix below needs no escaping
+    if (!/^[\p{L}\p{N}_]+$/u.test(tag)) {
+        return [];
+    }
+    const prefix = { hashtags: { $regex: `^${tag}` } };
+    const tags = await Post.aggregate([
+        { $match: prefix },
+        { $project: { hashtags: 1 } },
+        { $unwind: '$hashtags' },
+        { $match: prefix },
+        { $group: { _id: '$hashtags', postCount: { $sum: 1 } } },
+        { $sort: { postCount: -1 } },
+        { $limit: limit }
+    ]);
+    return tags.map(({ _id: name, postCount }) => ({
+        type: 'hashtag',
+        score: (name === tag ? 100 : 50 * (tag.length / name.length)) + 10 * Math.log10(1 + postCount),
+        hashtag: { name, postCount }
+    }));
+};
+
+const searchPosts = async (query, context, limit) => {
+    const term = query.replace(/^#/, '').trim();
+    if (term.length < 2) {
+        return [];
+    }
+    // Over-fetch so results are left after dropping posts from private accounts
+    const posts = await Post.find(
+        { user: { $nin: context.blockedIds }, $text: { $search: term } },
+        { user: 1, caption: 1, imageUrl: 1, media: 1, createdAt: 1, score: { $meta: 'textScore' } }
+    )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit * 3)
+        .populate('user', 'username profilePicture')
+        .lean();
+    const hiddenIds = await getHiddenPrivateUserIds(
+        context.viewerId,
+        posts.map(post => post.user?._id).filter(Boolean)
+    );
+    return posts
+        .filter(post => post.user && !hiddenIds.some(id => id.equals(post.user._id)))
+        .map(({ score, ...post }) => ({
+            type: 'post',
+            score: score * 10 * (context.followingIds.has(post.user._id.toString()) ? FOLLOWED_BOOST : 1),
+            post
+        }));
+};
+
+const SEARCHERS = {
+    users: searchUsers,
+    hashtags: searchHashtags,
+    posts: searchPosts
+};
+
+// Breaks ties between equal scores so every result has a fixed place in the ranking.
+const resultKey = (result) => `${result.type}:${result.user?._id || result.hashtag?.name || result.post?._id}`;
+
+// Highest score first, then by key
+const isRankedAfter = (result, { score, key }) => result.score < score
+    || (result.score === score && resultKey(result) > key);
+
+const compareResults = (a, b) => {
+    if (a.score !== b.score) {
+        return b.score - a.score;
+    }
+    return resultKey(a) < resultKey(b) ? -1 : 1;
+};
+
+// Returns null unless cursor is one search handed out.
+const parseSearchCursor = (cursor) => {
+    const data = decodeCursor(cursor);
+    if (!data || typeof data.score !== 'number' || typeof data.key !== 'string') {
+        return null;
+    }
+    return { score: data.score, key: data.key };
+};
+
+// Typed results from every requested source, ranked against each other by score.
+// A leading @ or # narrows an unscoped search to users or hashtags.
+const search = async (viewerId, rawQuery, { type = 'all', limit = 20, after = null } = {}) => {
+    const query = String(rawQuery || '').trim().slice(0, MAX_QUERY_LENGTH);
+    if (!query) {
+        return { items: [], nextCursor: null };
+    }
+    let types = SEARCH_TYPES.includes(type) ? [type] : SEARCH_TYPES;
+    if (type === 'all' && query.startsWith('@')) {
+        types = ['users'];
+    } else if (type === 'all' && query.startsWith('#')) {
+        types = ['hashtags', 'posts'];
+    }
+    const context = await buildContext(viewerId);
+    const groups = await Promise.all(types.map(name => SEARCHERS[name](query, context, SEARCH_DEPTH)));
+    let ranked = groups.flat().sort(compareResults);
+    if (after) {
+        ranked = ranked.filter(result => isRankedAfter(result, after));
+    }
+    const items = ranked.slice(0, limit);
+    const last = items[items.length - 1];
+    return {
+        items,
+        nextCursor: ranked.length > limit ? encodeCursor({ score: last.score, key: resultKey(last) }) : null
+    };
+};
+
+export { SEARCH_TYPES, parseSearchCursor, search };
@@ -0,0 +1,129 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { disconnectSessions } from './realtime.js';
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+// Lets a second tab that raced the first one to refresh fail quietly instead of tripping reuse detection.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenLifetime = () =>
+    (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS) * 24 * 60 * 60 * 1000;
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without a lookup by hash.
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+        return null;
+    }
+    return { sessionId, secret };
+};
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const signTokens = (user, session, secret) => ({
+    token: user.getSignedJwtToken(session._id),
+    refreshToken: `${session._id}.${secret}`
+});
+
+const createSession = async (user, req) => {
+    const secret = newSecret();
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        expiresAt: new Date(Date.now() + refreshTokenLifetime())
+    });
+    session.touch(req);
+    await session.save();
+    return signTokens(user, session, secret);
+};
+
+// Exchanges a refresh token for a new pair. The swap is a single conditional update, so of
+// two refreshes racing with the same token exactly one wins; the other finds it in
+// previousTokenHash and fails quietly. Presenting any other stale token means it leaked,
+// so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return null;
+    }
+    const presentedHash = hashToken(parsed.secret);
+    const secret = newSecret();
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: parsed.sessionId,
+            refreshTokenHash: presentedHash,
+            revokedAt: null,
+            expiresAt: { $gt: now }
+        },
+        {
+            $set: {
+                ...Session.seenFrom(req),
+                previousTokenHash: presentedHash,
+                rotatedAt: now,
+                refreshTokenHash: hashToken(secret),
+                expiresAt: new Date(now.getTime() + refreshTokenLifetime())
+            }
+        },
+        { new: true }
+    );
+    if (!session) {
+        const current = await Session.findById(parsed.sessionId);
+        if (current && current.isActive()) {
+            const justRotated = current.previousTokenHash === presentedHash
+                && now - current.rotatedAt < ROTATION_GRACE_MS;
+            if (!justRotated) {
+                await current.revoke('refresh token reuse');
+                disconnectSessions(current.user, [current._id]);
+            }
+        }
+        return null;
+    }
+    const user = await User.findById(session.user);
+    if (!user) {
+        return null;
+    }
+    return signTokens(user, session, secret);
+};
+
+const revokeSessionByToken = async (refreshToken, reason) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return false;
+    }
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || session.revokedAt) {
+        return false;
+    }
+    await session.revoke(reason);
+    disconnectSessions(session.user, [session._id]);
+    return true;
+};
+
+const listActiveSessions = (userId) => Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+}).sort({ lastSeenAt: -1 });
+
+// Revokes every active session of the user except keepSessionId, returning how many were signed out.
+const revokeOtherSessions = async (userId, keepSessionId, reason) => {
+    const sessions = await listActiveSessions(userId);
+    const others = sessions.filter(session => !session._id.equals(keepSessionId));
+    if (others.length === 0) {
+        return 0;
+    }
+    const sessionIds = others.map(session => session._id);
+    await Session.updateMany(
+        { _id: { $in: sessionIds } },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    disconnectSessions(userId, sessionIds);
+    return others.length;
+};
+
+export { createSession, rotateSession, revokeSessionByToken, listActiveSessions, revokeOtherSessions };
@@ -0,0 +1,46 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Stores files on the local disk under UPLOAD_DIR and serves them from /uploads.
+const createLocalDriver = () => {
+    const root = getLocalUploadDir();
+    const baseUrl = (process.env.UPLOAD_BASE_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, '');
+    return {
+        name: 'local',
+        save: async (key, buffer) => {
+            const filePath = path.join(root, key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return `${baseUrl}/${key}`;
+        },
+        remove: async (key) => {
+            await fs.rm(path.join(root, key), { force: true });
+        }
+    };
+};
+
+const drivers = {
+    local: createLocalDriver
+};
+let storage = null;
+
+// Other backends (S3, GCS, ...) only need to provide save(key, buffer, contentType) and remove(key).
+const registerStorageDriver = (name, factory) => {
+    drivers[name] = factory;
+    storage = null;
+};
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        if (!drivers[name]) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        storage = drivers[name]();
+    }
+    return storage;
+};
+
+const getLocalUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+export { getStorage, registerStorageDriver, getLocalUploadDir };
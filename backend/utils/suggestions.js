@@ -0,0 +1,116 @@
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import FollowRequest from '../models/FollowRequest.js';
+import DismissedSuggestion from '../models/DismissedSuggestion.js';
+import { getBlockedUserIds } from './privacy.js';
+
+// Accounts newer than this can fill the list when the follow graph has nothing to offer
+const NEW_ACCOUNT_DAYS = 30;
+const MUTUALS_SHOWN = 1;
+
+const USER_FIELDS = 'username displayName profilePicture bio isPrivate';
+
+const mutualReason = (names, count) => {
+    const others = count - names.length;
+    return others > 0
+        ? `Followed by ${names.join(', ')} + ${others} ${others === 1 ? 'other' : 'others'}`
+        : `Followed by ${names.join(', ')}`;
+};
+
+// Everyone the viewer shouldn't be offered: themselves, people they follow or asked to follow,
+// blocks in either direction and suggestions they dismissed.
+const getExcludedIds = async (viewerId, followingIds) => {
+    const [blockedIds, requested, dismissed] = await Promise.all([
+        getBlockedUserIds(viewerId),
+        FollowRequest.find({ requester: viewerId }).distinct('target'),
+        DismissedSuggestion.find({ user: viewerId }).distinct('dismissed')
+    ]);
+    return [viewerId, ...followingIds, ...blockedIds, ...requested, ...dismissed];
+};
+
+// People followed by the people the viewer follows, most shared connections first
+const friendsOfFriends = async (followingIds, excludedIds, limit) => {
+    if (followingIds.length === 0) {
+        return [];
+    }
+    const candidates = await Follow.aggregate([
+        { $match: { follower: { $in: followingIds }, following: { $nin: excludedIds } } },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$following', mutualCount: { $sum: 1 }, mutuals: { $push: '$follower' } } },
+        { $sort: { mutualCount: -1, _id: -1 } },
+        { $limit: limit },
+        { $project: { mutualCount: 1, mutuals: { $slice: ['$mutuals', MUTUALS_SHOWN] } } }
+    ]);
+    const names = await User.find({ _id: { $in: candidates.flatMap(c => c.mutuals) } }).select('username');
+    const nameOf = new Map(names.map(user => [user._id.toString(), user.username]));
+    return candidates.map(candidate => ({
+        userId: candidate._id,
+        reason: mutualReason(candidate.mutuals.map(id => nameOf.get(id.toString())).filter(Boolean), candidate.mutualCount),
+        mutualCount: candidate.mutualCount
+    }));
+};
+
+const followersNotFollowedBack = async (viewerId, excludedIds, limit) => {
+    const follows = await Follow.find({ following: viewerId, follower: { $nin: excludedIds } })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('follower');
+    return follows.map(follow => ({ userId: follow.follower, reason: 'Follows you' }));
+};
+
+// Recently joined accounts, the most followed first
+const popularNewAccounts = async (excludedIds, limit) => {
+    const since = new Date(Date.now() - NEW_ACCOUNT_DAYS * 24 * 60 * 60 * 1000);
+    const newUsers = await User.find({ _id: { $nin: excludedIds }, createdAt: { $gte: since } })
+        .select('_id')
+        .sort({ createdAt: -1 })
+        .limit(limit * 5);
+    const counts = await Follow.aggregate([
+        { $match: { following: { $in: newUsers.map(user => user._id) } } },
+        { $group: { _id: '$following', followerCount: { $sum: 1 } } }
+    ]);
+    const countOf = new Map(counts.map(c => [c._id.toString(), c.followerCount]));
+    return newUsers
+        .map(user => ({ userId: user._id, followerCount: countOf.get(user._id.toString()) || 0 }))
+        .sort((a, b) => b.followerCount - a.followerCount)
+        .slice(0, limit)
+        .map(({ userId, followerCount }) => ({
+            userId,
+            reason: followerCount > 0 ? 'Popular new account' : 'New here'
+        }));
+};
+
+// "Suggested for you": friends of friends, then followers not followed back, then popular new accounts.
+const getSuggestions = async (viewerId, limit) => {
+    const followingIds = await Follow.find({ follower: viewerId }).distinct('following');
+    const excludedIds = await getExcludedIds(viewerId, followingIds);
+    const suggestions = [];
+    const seen = new Set(excludedIds.map(id => id.toString()));
+    const add = (items) => {
+        for (const item of items) {
+            const key = item.userId.toString();
+            if (suggestions.length < limit && !seen.has(key)) {
+                seen.add(key);
+                suggestions.push(item);
+            }
+        }
+    };
+    add(await friendsOfFriends(followingIds, excludedIds, limit));
+    if (suggestions.length < limit) {
+        add(await followersNotFollowedBack(viewerId, excludedIds, limit));
+    }
+    if (suggestions.length < limit) {
+        add(await popularNewAccounts(excludedIds, limit));
+    }
+    const users = await User.find({ _id: { $in: suggestions.map(s => s.userId) } }).select(USER_FIELDS);
+    const userOf = new Map(users.map(user => [user._id.toString(), user]));
+    return suggestions
+        .filter(s => userOf.has(s.userId.toString()))
+        .map(({ userId, reason, mutualCount = 0 }) => ({
+            user: userOf.get(userId.toString()),
+            reason,
+            mutualCount
+        }));
+};
+
+export { getSuggestions };
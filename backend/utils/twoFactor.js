@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// RFC 6238 defaults, which is what every authenticator app expects.
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next step too, to tolerate clock drift on the phone.
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes allowed before the challenge is voided and code entry locked for a while.
+// Counted per user, so starting a fresh login doesn't buy more guesses.
+const MAX_CODE_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+// Returns the matching time step, or null. Callers store the step and pass it back as
+// lastUsedStep so a code can't be replayed within its validity window.
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+        return null;
+    }
+    const now = currentStep();
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+const otpauthUrl = (secret, accountName) => {
+    const issuer = process.env.TOTP_ISSUER || 'Instagram Clone';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+// Returns the plain codes (shown to the user once) and the hashes to store.
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+const generateChallengeId = () => crypto.randomUUID();
+
+// Issued after the password check; only good for finishing that one login. challengeId
+// (the token's jti) has to match the one stored on the user.
+const signChallengeToken = (user, challengeId) => jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
+    audience: CHALLENGE_AUDIENCE,
+    jwtid: challengeId,
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+});
+
+const verifyChallengeToken = (token) => {
+    try {
+        return jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    } catch (error) {
+        return null;
+    }
+};
+
+export {
+    MAX_CODE_ATTEMPTS,
+    LOCKOUT_MS,
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    otpauthUrl,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    generateChallengeId,
+    signChallengeToken,
+    verifyChallengeToken
+};
@@ -2,14 +2,27 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { useAuth } from './context/AuthContext';
 import Navbar from './components/Navbar.jsx';
+import VerifyEmailBanner from './components/VerifyEmailBanner.jsx';
 import Login from './pages/Login.jsx';
 import Signup from './pages/Signup.jsx';
+import ForgotPassword from './pages/ForgotPassword.jsx';
+import ResetPassword from './pages/ResetPassword.jsx';
+import VerifyEmail from './pages/VerifyEmail.jsx';
 import Home from './pages/Home.jsx';
 import Profile from './pages/Profile.jsx';
 import CreatePost from './pages/CreatePost.jsx';
 import PostDetail from './pages/PostDetail.jsx';
 import Explore from './pages/Explore.jsx';
 import EditProfile from './pages/EditProfile.jsx';
+import Inbox from './pages/Inbox.jsx';
+import Thread from './pages/Thread.jsx';
+import Activity from './pages/Activity.jsx';
+import Mentions from './pages/Mentions.jsx';
+import Tag from './pages/Tag.jsx';
+import Search from './pages/Search.jsx';
+import SecuritySettings from './pages/SecuritySettings.jsx';
+import FollowRequests from './pages/FollowRequests.jsx';
+import PrivacySettings from './pages/PrivacySettings.jsx';
 import NotFound from './pages/NotFound.jsx';
 
 // Protected Route component
@@ -56,6 +69,7 @@ function App() {
             <div className="min-h-screen bg-gray-50">
                 <Navbar />
                 <main className="container mx-auto px-4 py-8 max-w-4xl">
+                    <VerifyEmailBanner />
                     <Routes>
                         <Route path="/login" element={
                             <PublicRoute>
@@ -67,6 +81,17 @@ function App() {
                                 <Signup />
                             </PublicRoute>
                         } />
+                        <Route path="/forgot-password" element={
+                            <PublicRoute>
+                                <ForgotPassword />
+                            </PublicRoute>
+                        } />
+                        <Route path="/reset-password/:token" element={
+                            <PublicRoute>
+                                <ResetPassword />
+                            </PublicRoute>
+                        } />
+                        <Route path="/verify-email/:token" element={<VerifyEmail />} />
                         <Route path="/" element={
                             <ProtectedRoute>
                                 <Home />
@@ -97,6 +122,51 @@ function App() {
                                 <EditProfile />
                             </ProtectedRoute>
                         } />
+                        <Route path="/direct" element={
+                            <ProtectedRoute>
+                                <Inbox />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/direct/:conversationId" element={
+                            <ProtectedRoute>
+                                <Thread />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/activity" element={
+                            <ProtectedRoute>
+                                <Activity />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/search" element={
+                            <ProtectedRoute>
+                                <Search />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/tags/:tag" element={
+                            <ProtectedRoute>
+                                <Tag />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/mentions" element={
+                            <ProtectedRoute>
+                                <Mentions />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/settings/security" element={
+                            <ProtectedRoute>
+                                <SecuritySettings />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/settings/privacy" element={
+                            <ProtectedRoute>
+                                <PrivacySettings />
+                            </ProtectedRoute>
+                        } />
+                        <Route path="/follow-requests" element={
+                            <ProtectedRoute>
+                                <FollowRequests />
+                            </ProtectedRoute>
+                        } />
                         <Route path="*" element={<NotFound />} />
                     </Routes>
                 </main>
@@ -1,7 +1,62 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import RichText from './RichText.jsx';
+import { useInfiniteList } from '../hooks/useInfiniteList';
+
+// Top-level comments load their replies under the "View N replies" toggle. postedReplies are
+// the ones the reader posted here, listed after the loaded replies until a page brings them in.
+// onLike resolves to the changes and onDelete to whether it went through, so the thread can
+// update the replies it loaded.
+const Comment = ({
+    comment,
+    onDelete,
+    canDelete,
+    canDeleteReply,
+    onReply,
+    onLike,
+    postedReplies = []
+}) => {
+    const [showReplies, setShowReplies] = useState(false);
+    // Nothing is fetched until the thread is first opened
+    const [repliesOpened, setRepliesOpened] = useState(false);
+    const {
+        items: loadedReplies,
+        setItems: setLoadedReplies,
+        loading: repliesLoading,
+        hasMore: hasMoreReplies,
+        loadMore: loadMoreReplies
+    } = useInfiniteList(repliesOpened ? `/comments/${comment._id}/replies` : null);
+
+    useEffect(() => {
+        if (postedReplies.length > 0) {
+            setRepliesOpened(true);
+            setShowReplies(true);
+        }
+    }, [postedReplies.length]);
+
+    const replies = [
+        ...loadedReplies,
+        ...postedReplies.filter(posted => !loadedReplies.some(r => r._id === posted._id))
+    ];
+
+    const toggleReplies = () => {
+        setRepliesOpened(true);
+        setShowReplies(!showReplies);
+    };
+
+    const likeReply = async (reply) => {
+        const changes = await onLike(reply);
+        if (changes) {
+            setLoadedReplies(prev => prev.map(r => (r._id === reply._id ? { ...r, ...changes } : r)));
+        }
+    };
+
+    const deleteReply = async (reply) => {
+        if (await onDelete(reply)) {
+            setLoadedReplies(prev => prev.filter(r => r._id !== reply._id));
+        }
+    };
 
-const Comment = ({ comment, onDelete, canDelete }) => {
     const formatDate = (dateString) => {
         const date = new Date(dateString);
         const now = new Date();
@@ -22,39 +77,117 @@ const Comment = ({ comment, onDelete, canDelete }) => {
         }
     };
 
+    const replyCount = comment.replyCount || 0;
+    const likeCount = comment.likeCount || 0;
+
     return (
-        <div className="flex group py-2">
-            <Link to={`/profile/${comment.user?._id}`} className="flex-shrink-0">
-                <img
-                    src={comment.user?.profilePicture || 'https://via.placeholder.com/32'}
-                    alt={comment.user?.username}
-                    className="w-8 h-8 rounded-full object-cover"
-                />
-            </Link>
-            <div className="ml-3 flex-1">
-                <p className="text-sm">
-                    <Link
-                        to={`/profile/${comment.user?._id}`}
-                        className="font-semibold mr-2 hover:underline"
-                    >
-                        {comment.user?.username}
+        <div className="py-2">
+            {comment.deleted ? (
+                <p className="text-sm text-gray-400 italic ml-11">This comment has been deleted</p>
+            ) : (
+                <div className="flex group">
+                    <Link to={`/profile/${comment.user?._id}`} className="flex-shrink-0">
+                        <img
+                            src={comment.user?.profilePicture || 'https://via.placeholder.com/32'}
+                            alt={comment.user?.username}
+                            className="w-8 h-8 rounded-full object-cover"
+                        />
                     </Link>
-                    <span className="text-gray-800">{comment.text}</span>
-                </p>
-                <div className="flex items-center gap-3 mt-1">
-                    <span className="text-xs text-gray-400">
-                        {formatDate(comment.createdAt)}
-                    </span>
-                    {canDelete && (
+                    <div className="ml-3 flex-1">
+                        <p className="text-sm">
+                            <Link
+                                to={`/profile/${comment.user?._id}`}
+                                className="font-semibold mr-2 hover:underline"
+                            >
+                                {comment.user?.username}
+                            </Link>
+                            <span className="text-gray-800">
+                                <RichText text={comment.text} mentions={comment.mentions} />
+                            </span>
+                        </p>
+                        <div className="flex items-center gap-3 mt-1">
+                            <span className="text-xs text-gray-400">
+                                {formatDate(comment.createdAt)}
+                            </span>
+                            {likeCount > 0 && (
+                                <span className="text-xs text-gray-500 font-semibold">
+                                    {likeCount} {likeCount === 1 ? 'like' : 'likes'}
+                                </span>
+                            )}
+                            {onReply && (
+                                <button
+                                    onClick={() => onReply(comment)}
+                                    className="text-xs text-gray-500 font-semibold hover:text-gray-700"
+                                >
+                                    Reply
+                                </button>
+                            )}
+                            {canDelete && (
+                                <button
+                                    onClick={() => onDelete(comment)}
+                                    className="text-xs text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                                >
+                                    Delete
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                    {onLike && (
                         <button
-                            onClick={() => onDelete(comment._id)}
-                            className="text-xs text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
+                            onClick={() => onLike(comment)}
+                            className="ml-2 self-start mt-1 hover:opacity-70"
+                            aria-label={comment.isLiked ? 'Unlike comment' : 'Like comment'}
                         >
-                            Delete
+                            <svg
+                                className={`w-3 h-3 ${comment.isLiked ? 'text-red-500' : 'text-gray-500'}`}
+                                fill={comment.isLiked ? 'currentColor' : 'none'}
+                                stroke="currentColor"
+                                viewBox="0 0 24 24"
+                            >
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+                            </svg>
                         </button>
                     )}
                 </div>
-            </div>
+            )}
+
+            {/* Replies */}
+            {replyCount > 0 && !comment.parent && (
+                <div className="ml-11 mt-2">
+                    <button
+                        onClick={toggleReplies}
+                        className="flex items-center text-xs text-gray-500 font-semibold"
+                    >
+                        <span className="w-6 border-t border-gray-300 mr-3"></span>
+                        {showReplies ? 'Hide replies' : `View ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}`}
+                    </button>
+                    {showReplies && (
+                        <div className="mt-1">
+                            {replies.map(reply => (
+                                <Comment
+                                    key={reply._id}
+                                    comment={reply}
+                                    canDelete={canDeleteReply(reply)}
+                                    onDelete={deleteReply}
+                                    onReply={onReply}
+                                    onLike={likeReply}
+                                />
+                            ))}
+                            {repliesLoading && (
+                                <p className="text-xs text-gray-400 mt-1">Loading...</p>
+                            )}
+                            {hasMoreReplies && (
+                                <button
+                                    onClick={loadMoreReplies}
+                                    className="text-xs text-gray-500 font-semibold mt-1"
+                                >
+                                    View more replies
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
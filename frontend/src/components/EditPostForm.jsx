@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import api from '../lib/api';
+
+// Inline editor for the author of a post: caption, alt text for each image and whether
+// people can comment. onSaved gets the updated post back from the server.
+const EditPostForm = ({ post, onSaved, onCancel }) => {
+    const [caption, setCaption] = useState(post.caption || '');
+    const [alts, setAlts] = useState((post.media || []).map(item => item.alt || ''));
+    const [commentsDisabled, setCommentsDisabled] = useState(!!post.commentsDisabled);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const changeAlt = (index, value) => {
+        setAlts(alts.map((alt, i) => (i === index ? value : alt)));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            const response = await api.patch(`/posts/${post._id}`, {
+                caption,
+                media: alts.map(alt => ({ alt })),
+                commentsDisabled
+            });
+            onSaved(response.data.post);
+        } catch (err) {
+            setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to save changes');
+            console.error('Error editing post:', err);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-4 border-b border-gray-200 space-y-3">
+            <textarea
+                value={caption}
+                onChange={(e) => setCaption(e.target.value)}
+                maxLength={2200}
+                rows={4}
+                placeholder="Write a caption..."
+                className="input-field w-full text-sm resize-none"
+            />
+            {alts.map((alt, index) => (
+                <div key={index}>
+                    <label className="block text-xs text-gray-500 mb-1">
+                        Alt text{alts.length > 1 ? ` for image ${index + 1}` : ''}
+                    </label>
+                    <input
+                        type="text"
+                        value={alt}
+                        maxLength={300}
+                        onChange={(e) => changeAlt(index, e.target.value)}
+                        placeholder="Describe this image for people who can't see it"
+                        className="input-field w-full text-sm"
+                    />
+                </div>
+            ))}
+            <label className="flex items-center gap-2 text-sm">
+                <input
+                    type="checkbox"
+                    checked={commentsDisabled}
+                    onChange={(e) => setCommentsDisabled(e.target.checked)}
+                />
+                Turn off commenting
+            </label>
+            {error && (
+                <div className="bg-red-50 text-red-500 p-3 rounded-lg text-sm">
+                    {error}
+                </div>
+            )}
+            <div className="flex justify-end gap-3">
+                <button type="button" onClick={onCancel} className="text-sm text-gray-500">
+                    Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary text-sm disabled:opacity-50">
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default EditPostForm;
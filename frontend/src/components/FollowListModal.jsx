@@ -0,0 +1,58 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useInfiniteList } from '../hooks/useInfiniteList';
+
+// onRemove resolves to true once the person is removed, and they're dropped from the list.
+const FollowListModal = ({ title, url, onRemove, onClose }) => {
+    const { items: users, setItems: setUsers, loading, loadingMore, sentinelRef } = useInfiniteList(url);
+
+    const handleRemove = async (personId) => {
+        if (await onRemove(personId)) {
+            setUsers(prev => prev.filter(person => person._id !== personId));
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+            <div className="bg-white rounded-lg w-full max-w-sm max-h-[70vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between border-b border-gray-200 p-4">
+                    <h3 className="font-semibold">{title}</h3>
+                    <button onClick={onClose} className="text-gray-500 text-xl leading-none" aria-label="Close">
+                        ×
+                    </button>
+                </div>
+                <div className="overflow-y-auto">
+                    {loading ? (
+                        <p className="text-gray-500 text-sm text-center py-8">Loading...</p>
+                    ) : users.length === 0 ? (
+                        <p className="text-gray-400 text-sm text-center py-8">Nobody here yet</p>
+                    ) : (
+                        users.map(person => (
+                            <div key={person._id} className="flex items-center p-3">
+                                <Link to={`/profile/${person._id}`} onClick={onClose} className="flex items-center flex-1 min-w-0">
+                                    <img
+                                        src={person.profilePicture || 'https://via.placeholder.com/40'}
+                                        alt={person.username}
+                                        className="w-10 h-10 rounded-full object-cover"
+                                    />
+                                    <span className="ml-3 text-sm font-semibold truncate">{person.username}</span>
+                                </Link>
+                                {onRemove && (
+                                    <button onClick={() => handleRemove(person._id)} className="btn-secondary text-xs">
+                                        Remove
+                                    </button>
+                                )}
+                            </div>
+                        ))
+                    )}
+                    <div ref={sentinelRef} />
+                    {loadingMore && (
+                        <p className="text-gray-500 text-sm text-center py-2">Loading...</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default FollowListModal;
@@ -0,0 +1,94 @@
+import React, { useState, useRef } from 'react';
+
+const SWIPE_THRESHOLD = 50;
+
+const MediaCarousel = ({ media = [], className = '', imageClassName = '', imageStyle }) => {
+    const [index, setIndex] = useState(0);
+    const touchStartX = useRef(null);
+
+    const count = media.length;
+    const current = media[Math.min(index, count - 1)];
+
+    const goTo = (next, e) => {
+        if (e) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+        setIndex(Math.max(0, Math.min(count - 1, next)));
+    };
+
+    const handleTouchStart = (e) => {
+        touchStartX.current = e.touches[0].clientX;
+    };
+
+    const handleTouchEnd = (e) => {
+        if (touchStartX.current === null) return;
+        const deltaX = e.changedTouches[0].clientX - touchStartX.current;
+        touchStartX.current = null;
+        if (deltaX <= -SWIPE_THRESHOLD) {
+            goTo(index + 1);
+        } else if (deltaX >= SWIPE_THRESHOLD) {
+            goTo(index - 1);
+        }
+    };
+
+    if (!current) return null;
+
+    return (
+        <div
+            className={`relative select-none ${className}`}
+            onTouchStart={handleTouchStart}
+            onTouchEnd={handleTouchEnd}
+        >
+            <img
+                src={current.url}
+                alt={current.alt || 'Post'}
+                className={imageClassName}
+                style={imageStyle}
+                draggable={false}
+            />
+
+            {count > 1 && (
+                <>
+                    {/* Arrows */}
+                    {index > 0 && (
+                        <button
+                            onClick={(e) => goTo(index - 1, e)}
+                            className="absolute left-2 top-1/2 -translate-y-1/2 bg-white bg-opacity-80 rounded-full w-7 h-7 flex items-center justify-center shadow"
+                            aria-label="Previous image"
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                            </svg>
+                        </button>
+                    )}
+                    {index < count - 1 && (
+                        <button
+                            onClick={(e) => goTo(index + 1, e)}
+                            className="absolute right-2 top-1/2 -translate-y-1/2 bg-white bg-opacity-80 rounded-full w-7 h-7 flex items-center justify-center shadow"
+                            aria-label="Next image"
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                            </svg>
+                        </button>
+                    )}
+
+                    {/* Dot Indicators */}
+                    <div className="absolute bottom-3 left-0 right-0 flex justify-center gap-1">
+                        {media.map((item, i) => (
+                            <button
+                                key={i}
+                                onClick={(e) => goTo(i, e)}
+                                className={`w-1.5 h-1.5 rounded-full ${i === index ? 'bg-blue-500' : 'bg-white bg-opacity-70'}`}
+                                aria-label={`Go to image ${i + 1}`}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default MediaCarousel;
@@ -1,10 +1,41 @@
-import React from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
+import api from '../lib/api';
 import { useAuth } from '../context/AuthContext';
+import { useRealtimeEvent } from '../hooks/useRealtime';
+import SearchBox from './SearchBox.jsx';
+
+const UNREAD_POLL_INTERVAL = 30000;
 
 const Navbar = () => {
     const { user, isAuthenticated, logout } = useAuth();
     const navigate = useNavigate();
+    const location = useLocation();
+    const [unreadMessages, setUnreadMessages] = useState(0);
+    const [unreadNotifications, setUnreadNotifications] = useState(0);
+
+    const fetchUnread = useCallback(async () => {
+        try {
+            const [messagesRes, notificationsRes] = await Promise.all([
+                api.get('/conversations/unread-count'),
+                api.get('/notifications/unread-count')
+            ]);
+            setUnreadMessages(messagesRes.data.count || 0);
+            setUnreadNotifications(notificationsRes.data.count || 0);
+        } catch (err) {
+            console.error('Error fetching unread counts:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!isAuthenticated) return undefined;
+        fetchUnread();
+        const timer = setInterval(fetchUnread, UNREAD_POLL_INTERVAL);
+        return () => clearInterval(timer);
+    }, [isAuthenticated, location.pathname, fetchUnread]);
+
+    useRealtimeEvent('notification', fetchUnread);
+    useRealtimeEvent('notification:retracted', fetchUnread);
 
     const handleLogout = () => {
         logout();
@@ -20,6 +51,9 @@ const Navbar = () => {
                         Instagram
                     </Link>
 
+                    {/* Search */}
+                    {isAuthenticated && <SearchBox />}
+
                     {/* Navigation Links */}
                     {isAuthenticated ? (
                         <div className="flex items-center space-x-6">
@@ -33,6 +67,26 @@ const Navbar = () => {
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
                                 </svg>
                             </Link>
+                            <Link to="/direct" className="relative text-gray-700 hover:text-gray-900" title="Messages">
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                                </svg>
+                                {unreadMessages > 0 && (
+                                    <span className="absolute -top-1.5 -right-2 bg-red-500 text-white text-[10px] font-semibold rounded-full min-w-[16px] h-4 px-1 flex items-center justify-center">
+                                        {unreadMessages > 9 ? '9+' : unreadMessages}
+                                    </span>
+                                )}
+                            </Link>
+                            <Link to="/activity" className="relative text-gray-700 hover:text-gray-900" title="Activity">
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                                </svg>
+                                {unreadNotifications > 0 && (
+                                    <span className="absolute -top-1.5 -right-2 bg-red-500 text-white text-[10px] font-semibold rounded-full min-w-[16px] h-4 px-1 flex items-center justify-center">
+                                        {unreadNotifications > 9 ? '9+' : unreadNotifications}
+                                    </span>
+                                )}
+                            </Link>
                             <Link to="/create" className="text-gray-700 hover:text-gray-900" title="Create Post">
                                 <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
@@ -1,16 +1,26 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../lib/api';
-import { useAuth } from '../context/AuthContext';
+import MediaCarousel from './MediaCarousel.jsx';
+import SharePostModal from './SharePostModal.jsx';
+import SavePostButton from './SavePostButton.jsx';
+import RichText from './RichText.jsx';
+import { useLivePost } from '../hooks/useRealtime';
 
 const PostCard = ({ post, onUpdate }) => {
-    const { user } = useAuth();
-    const [liked, setLiked] = useState(post.likes?.includes(user?.id));
-    const [likeCount, setLikeCount] = useState(post.likes?.length || 0);
+    const [liked, setLiked] = useState(!!post.isLiked);
+    const [likeCount, setLikeCount] = useState(post.likeCount || 0);
     const [comment, setComment] = useState('');
     const [comments, setComments] = useState(post.comments || []);
+    const [commentCount, setCommentCount] = useState(post.commentCount ?? post.comments?.length ?? 0);
     const [showAllComments, setShowAllComments] = useState(false);
     const [loading, setLoading] = useState(false);
+    const [sharing, setSharing] = useState(false);
+
+    useLivePost(post._id, (update) => {
+        if (update.likeCount !== undefined) setLikeCount(update.likeCount);
+        if (update.commentCount !== undefined) setCommentCount(update.commentCount);
+    });
 
     const handleLike = async () => {
         try {
@@ -35,6 +45,7 @@ const PostCard = ({ post, onUpdate }) => {
         try {
             const response = await api.post(`/posts/${post._id}/comments`, { text: comment });
             setComments([...comments, response.data.comment]);
+            setCommentCount(prev => prev + 1);
             setComment('');
         } catch (error) {
             console.error('Error adding comment:', error);
@@ -85,11 +96,10 @@ const PostCard = ({ post, onUpdate }) => {
 
             {/* Image */}
             <Link to={`/post/${post._id}`}>
-                <img
-                    src={post.imageUrl}
-                    alt="Post"
-                    className="w-full object-cover"
-                    style={{ maxHeight: '600px' }}
+                <MediaCarousel
+                    media={post.media}
+                    imageClassName="w-full object-cover"
+                    imageStyle={{ maxHeight: '600px' }}
                 />
             </Link>
 
@@ -115,6 +125,18 @@ const PostCard = ({ post, onUpdate }) => {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
                         </svg>
                     </Link>
+
+                    {/* Share Button */}
+                    <button onClick={() => setSharing(true)} className="focus:outline-none" title="Share">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7 text-gray-700 hover:text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                        </svg>
+                    </button>
+
+                    {/* Save Button */}
+                    <div className="flex-1 flex justify-end">
+                        <SavePostButton post={post} />
+                    </div>
                 </div>
 
                 {/* Like Count */}
@@ -126,12 +148,17 @@ const PostCard = ({ post, onUpdate }) => {
                         <Link to={`/profile/${post.user?._id}`} className="font-semibold mr-2">
                             {post.user?.username}
                         </Link>
-                        {post.caption}
+                        <RichText text={post.caption} mentions={post.mentions} />
                     </p>
                 )}
 
                 {/* Comments */}
-                {comments.length > 2 && !showAllComments && (
+                {commentCount > comments.length && (
+                    <Link to={`/post/${post._id}`} className="block text-gray-500 text-sm mb-2">
+                        View all {commentCount} comments
+                    </Link>
+                )}
+                {commentCount <= comments.length && comments.length > 2 && !showAllComments && (
                     <button
                         onClick={() => setShowAllComments(true)}
                         className="text-gray-500 text-sm mb-2"
@@ -145,35 +172,50 @@ const PostCard = ({ post, onUpdate }) => {
                         <Link to={`/profile/${c.user?._id}`} className="font-semibold mr-2">
                             {c.user?.username}
                         </Link>
-                        {c.text}
+                        <RichText text={c.text} mentions={c.mentions} />
                     </p>
                 ))}
 
                 {/* Timestamp */}
                 <p className="text-xs text-gray-400 mt-2 uppercase">
                     {formatDate(post.createdAt)}
+                    {post.editedAt && (
+                        <Link to={`/post/${post._id}`} className="ml-2 normal-case" title="See edit history">
+                            · Edited
+                        </Link>
+                    )}
                 </p>
             </div>
 
             {/* Add Comment */}
-            <div className="border-t border-gray-200 p-4">
-                <form onSubmit={handleComment} className="flex items-center">
-                    <input
-                        type="text"
-                        placeholder="Add a comment..."
-                        value={comment}
-                        onChange={(e) => setComment(e.target.value)}
-                        className="flex-1 text-sm focus:outline-none"
-                    />
-                    <button
-                        type="submit"
-                        disabled={!comment.trim() || loading}
-                        className="text-blue-500 font-semibold text-sm disabled:opacity-50"
-                    >
-                        Post
-                    </button>
-                </form>
-            </div>
+            {post.commentsDisabled ? (
+                <p className="border-t border-gray-200 p-4 text-sm text-gray-500">
+                    Comments are turned off for this post.
+                </p>
+            ) : (
+                <div className="border-t border-gray-200 p-4">
+                    <form onSubmit={handleComment} className="flex items-center">
+                        <input
+                            type="text"
+                            placeholder="Add a comment..."
+                            value={comment}
+                            onChange={(e) => setComment(e.target.value)}
+                            className="flex-1 text-sm focus:outline-none"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!comment.trim() || loading}
+                            className="text-blue-500 font-semibold text-sm disabled:opacity-50"
+                        >
+                            Post
+                        </button>
+                    </form>
+                </div>
+            )}
+
+            {sharing && (
+                <SharePostModal postId={post._id} onClose={() => setSharing(false)} />
+            )}
         </div>
     );
 };
@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Must agree with the server's parsers (utils/mentions.js and utils/hashtags.js), so only
+// resolved @names and real #tags become links.
+const TOKEN_PATTERN = /(^|[^\w@])@([\w.]{3,30})|(^|[^\p{L}\p{N}_&#/])#([\p{L}\p{N}_]+)/gu;
+
+// Caption or comment text with @mentions linked to profiles and #tags linked to tag pages.
+const RichText = ({ text, mentions = [] }) => {
+    if (!text) {
+        return null;
+    }
+
+    const byName = new Map(mentions.map(user => [user.username?.toLowerCase(), user]));
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        const [, mentionPrefix, username, tagPrefix, tag] = match;
+        const start = match.index + (mentionPrefix ?? tagPrefix).length;
+        let end = match.index + match[0].length;
+        let link = null;
+
+        if (username) {
+            // Like the server, trailing dots are punctuation rather than part of the name
+            const name = username.replace(/\.+$/, '');
+            const user = name.length >= 3 && byName.get(name.toLowerCase());
+            if (user) {
+                end = start + 1 + name.length;
+                link = (
+                    <Link key={start} to={`/profile/${user._id}`} className="text-blue-900 hover:underline">
+                        @{name}
+                    </Link>
+                );
+            }
+        } else if (!/^\d+$/.test(tag)) {
+            link = (
+                <Link key={start} to={`/tags/${encodeURIComponent(tag.toLowerCase())}`} className="text-blue-900 hover:underline">
+                    #{tag}
+                </Link>
+            );
+        }
+
+        if (link) {
+            parts.push(text.slice(lastIndex, start), link);
+            lastIndex = end;
+        }
+    }
+    parts.push(text.slice(lastIndex));
+
+    return <>{parts}</>;
+};
+
+export default RichText;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../lib/api';
+
+// Bookmark for a post. Saving opens a picker for filing it into a collection; on a saved
+// post the picker moves it between collections or removes it from saved.
+const SavePostButton = ({ post, className = 'h-7 w-7' }) => {
+    const [saved, setSaved] = useState(!!post.isSaved);
+    const [savedTo, setSavedTo] = useState(post.savedTo || null);
+    const [pickerOpen, setPickerOpen] = useState(false);
+    const [collections, setCollections] = useState([]);
+    const [newName, setNewName] = useState('');
+    const [error, setError] = useState('');
+    const containerRef = useRef(null);
+
+    // Close the picker when clicking anywhere else on the page
+    useEffect(() => {
+        if (!pickerOpen) return undefined;
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setPickerOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [pickerOpen]);
+
+    const openPicker = async () => {
+        setPickerOpen(true);
+        setError('');
+        try {
+            const response = await api.get('/collections');
+            setCollections(response.data.collections || []);
+        } catch (err) {
+            console.error('Error fetching collections:', err);
+        }
+    };
+
+    const handleClick = async () => {
+        if (saved) {
+            if (pickerOpen) {
+                setPickerOpen(false);
+            } else {
+                openPicker();
+            }
+            return;
+        }
+        try {
+            await api.post(`/posts/${post._id}/save`);
+            setSaved(true);
+            openPicker();
+        } catch (err) {
+            console.error('Error saving post:', err);
+        }
+    };
+
+    const saveTo = async (collectionId) => {
+        try {
+            const response = await api.post(`/posts/${post._id}/save`, { collectionId });
+            setSavedTo(response.data.savedTo);
+            setPickerOpen(false);
+        } catch (err) {
+            console.error('Error moving saved post:', err);
+        }
+    };
+
+    const handleUnsave = async () => {
+        try {
+            await api.delete(`/posts/${post._id}/save`);
+            setSaved(false);
+            setSavedTo(null);
+            setPickerOpen(false);
+        } catch (err) {
+            console.error('Error unsaving post:', err);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        try {
+            const response = await api.post('/collections', { name: newName.trim() });
+            setNewName('');
+            await saveTo(response.data.collection._id);
+        } catch (err) {
+            setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to create collection');
+            console.error('Error creating collection:', err);
+        }
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <button onClick={handleClick} className="focus:outline-none" title={saved ? 'Saved' : 'Save'}>
+                <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    className={`${className} text-gray-700 hover:text-gray-500`}
+                    fill={saved ? 'currentColor' : 'none'}
+                    viewBox="0 0 24 24"
+                    stroke="currentColor"
+                >
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                </svg>
+            </button>
+
+            {pickerOpen && (
+                <div className="absolute right-0 mt-2 w-60 bg-white border border-gray-200 rounded-lg shadow-lg z-20">
+                    <p className="px-4 py-2 text-xs text-gray-500 font-semibold border-b border-gray-200">
+                        Save to collection
+                    </p>
+                    <div className="max-h-48 overflow-y-auto">
+                        <button
+                            onClick={() => saveTo(null)}
+                            className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50 flex justify-between"
+                        >
+                            <span>No collection</span>
+                            {!savedTo && <span className="text-blue-500">✓</span>}
+                        </button>
+                        {collections.map(collection => (
+                            <button
+                                key={collection._id}
+                                onClick={() => saveTo(collection._id)}
+                                className="w-full text-left px-4 py-2 text-sm hover:bg-gray-50 flex justify-between"
+                            >
+                                <span className="truncate">{collection.name}</span>
+                                {savedTo === collection._id && <span className="text-blue-500">✓</span>}
+                            </button>
+                        ))}
+                    </div>
+                    <form onSubmit={handleCreate} className="flex items-center border-t border-gray-200 px-4 py-2">
+                        <input
+                            type="text"
+                            placeholder="New collection"
+                            value={newName}
+                            maxLength={50}
+                            onChange={(e) => setNewName(e.target.value)}
+                            className="flex-1 text-sm focus:outline-none"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!newName.trim()}
+                            className="text-blue-500 text-sm font-semibold disabled:opacity-50"
+                        >
+                            Add
+                        </button>
+                    </form>
+                    {error && <p className="px-4 pb-2 text-xs text-red-500">{error}</p>}
+                    <button
+                        onClick={handleUnsave}
+                        className="w-full text-left px-4 py-2 text-sm text-red-500 border-t border-gray-200 hover:bg-gray-50"
+                    >
+                        Remove from saved
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SavePostButton;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../lib/api';
+import { useInfiniteList } from '../hooks/useInfiniteList';
+
+const apiError = (err, fallback) => err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || fallback;
+
+// The Saved tab on the owner's profile: their collections along the top and the posts
+// in the selected one below. "all" is every saved post, in a collection or not.
+const SavedPosts = () => {
+    const [all, setAll] = useState(null);
+    const [collections, setCollections] = useState([]);
+    const [selected, setSelected] = useState('all');
+    const [newName, setNewName] = useState('');
+    const [renameTo, setRenameTo] = useState(null);
+    const [error, setError] = useState('');
+    const {
+        items: posts,
+        loading,
+        loadingMore,
+        sentinelRef
+    } = useInfiniteList(`/collections/${selected}/posts`);
+
+    const fetchCollections = useCallback(async () => {
+        try {
+            const response = await api.get('/collections');
+            setAll(response.data.all);
+            setCollections(response.data.collections || []);
+        } catch (err) {
+            console.error('Error fetching collections:', err);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchCollections();
+    }, [fetchCollections]);
+
+    const selectedCollection = collections.find(c => c._id === selected);
+
+    const selectCollection = (collectionId) => {
+        setSelected(collectionId);
+        setRenameTo(null);
+        setError('');
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!newName.trim()) return;
+        try {
+            setError('');
+            const response = await api.post('/collections', { name: newName.trim() });
+            setNewName('');
+            setCollections([response.data.collection, ...collections]);
+        } catch (err) {
+            setError(apiError(err, 'Failed to create collection'));
+        }
+    };
+
+    const handleRename = async (e) => {
+        e.preventDefault();
+        if (!renameTo?.trim()) return;
+        try {
+            setError('');
+            await api.patch(`/collections/${selected}`, { name: renameTo.trim() });
+            setCollections(collections.map(c => (c._id === selected ? { ...c, name: renameTo.trim() } : c)));
+            setRenameTo(null);
+        } catch (err) {
+            setError(apiError(err, 'Failed to rename collection'));
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete "${selectedCollection?.name}"? Its posts stay in your saved posts.`)) return;
+        try {
+            await api.delete(`/collections/${selected}`);
+            selectCollection('all');
+            fetchCollections();
+        } catch (err) {
+            setError(apiError(err, 'Failed to delete collection'));
+        }
+    };
+
+    const handleSetCover = async (e, postId) => {
+        // The button sits on top of the post's link
+        e.preventDefault();
+        try {
+            await api.patch(`/collections/${selected}`, { coverPostId: postId });
+            fetchCollections();
+        } catch (err) {
+            setError(apiError(err, 'Failed to change cover'));
+        }
+    };
+
+    const renderTile = (key, name, summary) => (
+        <button
+            key={key}
+            onClick={() => selectCollection(key)}
+            className="flex-shrink-0 w-24 text-left"
+        >
+            <div className={`w-24 h-24 rounded-lg overflow-hidden bg-gray-100 border-2 ${
+                selected === key ? 'border-gray-900' : 'border-transparent'
+            }`}>
+                {summary?.coverImage && (
+                    <img src={summary.coverImage} alt={name} className="w-full h-full object-cover" />
+                )}
+            </div>
+            <p className="text-sm font-semibold truncate mt-1">{name}</p>
+            <p className="text-xs text-gray-500">{summary?.postCount || 0} posts</p>
+        </button>
+    );
+
+    return (
+        <div>
+            {/* Collections */}
+            <div className="flex gap-4 overflow-x-auto pb-4 mb-4 border-b border-gray-200">
+                {renderTile('all', 'All posts', all)}
+                {collections.map(collection => renderTile(collection._id, collection.name, collection))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+                <form onSubmit={handleCreate} className="flex items-center gap-2">
+                    <input
+                        type="text"
+                        placeholder="New collection"
+                        value={newName}
+                        maxLength={50}
+                        onChange={(e) => setNewName(e.target.value)}
+                        className="input-field text-sm"
+                    />
+                    <button type="submit" disabled={!newName.trim()} className="btn-secondary text-sm disabled:opacity-50">
+                        Create
+                    </button>
+                </form>
+                {selectedCollection && (renameTo === null ? (
+                    <div className="flex items-center gap-2 ml-auto">
+                        <button onClick={() => setRenameTo(selectedCollection.name)} className="btn-secondary text-sm">
+                            Rename
+                        </button>
+                        <button onClick={handleDelete} className="btn-secondary text-sm text-red-500">
+                            Delete
+                        </button>
+                    </div>
+                ) : (
+                    <form onSubmit={handleRename} className="flex items-center gap-2 ml-auto">
+                        <input
+                            type="text"
+                            value={renameTo}
+                            maxLength={50}
+                            onChange={(e) => setRenameTo(e.target.value)}
+                            className="input-field text-sm"
+                        />
+                        <button type="submit" className="btn-primary text-sm">Save</button>
+                        <button type="button" onClick={() => setRenameTo(null)} className="text-sm text-gray-500">
+                            Cancel
+                        </button>
+                    </form>
+                ))}
+            </div>
+            {error && (
+                <div className="bg-red-50 text-red-500 p-3 mb-4 rounded-lg text-sm">
+                    {error}
+                </div>
+            )}
+
+            {/* Saved Posts */}
+            {loading ? (
+                <p className="text-gray-500 text-sm text-center py-16">Loading saved posts...</p>
+            ) : posts.length === 0 ? (
+                <div className="text-center py-16">
+                    <h2 className="text-2xl font-light mb-2">Nothing Saved Yet</h2>
+                    <p className="text-gray-500 text-sm">
+                        Tap the bookmark on a post to save it here. Only you can see what you've saved.
+                    </p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-3 gap-1 md:gap-4">
+                    {posts.map(post => (
+                        <Link
+                            key={post._id}
+                            to={`/post/${post._id}`}
+                            className="relative aspect-square group"
+                        >
+                            <img
+                                src={post.media?.[0]?.thumbnailUrl || post.imageUrl}
+                                alt={post.media?.[0]?.alt || 'Post'}
+                                className="w-full h-full object-cover rounded"
+                            />
+                            {selectedCollection && (
+                                <button
+                                    onClick={(e) => handleSetCover(e, post._id)}
+                                    className="absolute top-2 right-2 bg-black bg-opacity-60 text-white text-xs font-semibold px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity"
+                                >
+                                    {selectedCollection.coverPost === post._id ? 'Cover' : 'Set as cover'}
+                                </button>
+                            )}
+                        </Link>
+                    ))}
+                </div>
+            )}
+            <div ref={sentinelRef} />
+            {loadingMore && (
+                <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
+            )}
+        </div>
+    );
+};
+
+export default SavedPosts;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../lib/api';
+import SearchResult from './SearchResult.jsx';
+
+const DROPDOWN_LIMIT = 8;
+
+const SearchBox = () => {
+    const navigate = useNavigate();
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [open, setOpen] = useState(false);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        if (!query.trim()) {
+            setResults([]);
+            return undefined;
+        }
+        const timer = setTimeout(async () => {
+            try {
+                const response = await api.get('/search', { params: { q: query.trim(), limit: DROPDOWN_LIMIT } });
+                setResults(response.data.items || []);
+            } catch (err) {
+                console.error('Error searching:', err);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [query]);
+
+    // Close the dropdown when clicking anywhere else on the page
+    useEffect(() => {
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, []);
+
+    const close = () => {
+        setOpen(false);
+        setQuery('');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+        navigate(`/search?q=${encodeURIComponent(query.trim())}`);
+        close();
+    };
+
+    return (
+        <div ref={containerRef} className="relative hidden md:block w-64">
+            <form onSubmit={handleSubmit}>
+                <input
+                    type="search"
+                    value={query}
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        setOpen(true);
+                    }}
+                    onFocus={() => setOpen(true)}
+                    onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+                    placeholder="Search"
+                    className="w-full bg-gray-100 rounded-lg px-4 py-1.5 text-sm focus:outline-none"
+                />
+            </form>
+            {open && query.trim() && (
+                <div className="absolute left-0 right-0 mt-2 bg-white border border-gray-200 rounded-lg shadow-lg py-2 max-h-96 overflow-y-auto">
+                    {results.length === 0 ? (
+                        <p className="text-gray-400 text-sm text-center py-4">No results found.</p>
+                    ) : (
+                        results.map(result => (
+                            <SearchResult
+                                key={`${result.type}:${result.user?._id || result.hashtag?.name || result.post?._id}`}
+                                result={result}
+                                onSelect={close}
+                            />
+                        ))
+                    )}
+                    <button
+                        onClick={handleSubmit}
+                        className="w-full text-left px-4 py-2 text-sm text-blue-500 font-semibold hover:bg-gray-50"
+                    >
+                        See all results for "{query.trim()}"
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SearchBox;
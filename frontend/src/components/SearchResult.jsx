@@ -0,0 +1,58 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// One row of search results; result.type decides which fields are present.
+const SearchResult = ({ result, onSelect }) => {
+    if (result.type === 'user') {
+        const { user } = result;
+        return (
+            <Link to={`/profile/${user._id}`} onClick={onSelect} className="flex items-center px-4 py-2 hover:bg-gray-50">
+                <img
+                    src={user.profilePicture || 'https://via.placeholder.com/44'}
+                    alt={user.username}
+                    className="w-11 h-11 rounded-full object-cover"
+                />
+                <div className="ml-3 min-w-0">
+                    <p className="text-sm font-semibold truncate">{user.username}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                        {[user.displayName, user.isFollowing && 'Following'].filter(Boolean).join(' • ') || user.bio}
+                    </p>
+                </div>
+            </Link>
+        );
+    }
+
+    if (result.type === 'hashtag') {
+        const { hashtag } = result;
+        return (
+            <Link to={`/tags/${encodeURIComponent(hashtag.name)}`} onClick={onSelect} className="flex items-center px-4 py-2 hover:bg-gray-50">
+                <div className="w-11 h-11 rounded-full border border-gray-200 flex items-center justify-center text-lg text-gray-500">
+                    #
+                </div>
+                <div className="ml-3 min-w-0">
+                    <p className="text-sm font-semibold truncate">#{hashtag.name}</p>
+                    <p className="text-xs text-gray-500">
+                        {hashtag.postCount} {hashtag.postCount === 1 ? 'post' : 'posts'}
+                    </p>
+                </div>
+            </Link>
+        );
+    }
+
+    const { post } = result;
+    return (
+        <Link to={`/post/${post._id}`} onClick={onSelect} className="flex items-center px-4 py-2 hover:bg-gray-50">
+            <img
+                src={post.media?.[0]?.thumbnailUrl || post.imageUrl}
+                alt={post.media?.[0]?.alt || 'Post'}
+                className="w-11 h-11 object-cover"
+            />
+            <div className="ml-3 min-w-0">
+                <p className="text-sm font-semibold truncate">{post.user?.username}</p>
+                <p className="text-xs text-gray-500 truncate">{post.caption}</p>
+            </div>
+        </Link>
+    );
+};
+
+export default SearchResult;
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { getConversationTitle, getConversationAvatar } from '../lib/conversations';
+
+const SharePostModal = ({ postId, onClose }) => {
+    const { user } = useAuth();
+    const [conversations, setConversations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [sentTo, setSentTo] = useState({});
+
+    useEffect(() => {
+        const fetchConversations = async () => {
+            try {
+                const response = await api.get('/conversations');
+                setConversations(response.data.conversations || []);
+            } catch (err) {
+                console.error('Error fetching conversations:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchConversations();
+    }, []);
+
+    const handleSend = async (conversationId) => {
+        try {
+            await api.post(`/conversations/${conversationId}/messages`, { postId });
+            setSentTo(prev => ({ ...prev, [conversationId]: true }));
+        } catch (err) {
+            console.error('Error sharing post:', err);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-center justify-center" onClick={onClose}>
+            <div className="bg-white rounded-lg w-full max-w-sm max-h-[70vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between border-b border-gray-200 p-4">
+                    <h3 className="font-semibold">Share</h3>
+                    <button onClick={onClose} className="text-gray-500 text-xl leading-none" aria-label="Close">
+                        ×
+                    </button>
+                </div>
+                <div className="overflow-y-auto">
+                    {loading ? (
+                        <p className="text-gray-400 text-sm text-center py-8">Loading...</p>
+                    ) : conversations.length === 0 ? (
+                        <p className="text-gray-400 text-sm text-center py-8">No conversations yet</p>
+                    ) : (
+                        conversations.map(conversation => (
+                            <div key={conversation._id} className="flex items-center p-3">
+                                <img
+                                    src={getConversationAvatar(conversation, user?.id)}
+                                    alt={getConversationTitle(conversation, user?.id)}
+                                    className="w-10 h-10 rounded-full object-cover"
+                                />
+                                <span className="ml-3 text-sm font-semibold flex-1 truncate">
+                                    {getConversationTitle(conversation, user?.id)}
+                                </span>
+                                <button
+                                    onClick={() => handleSend(conversation._id)}
+                                    disabled={sentTo[conversation._id]}
+                                    className={sentTo[conversation._id] ? 'btn-secondary text-xs' : 'btn-primary text-xs'}
+                                >
+                                    {sentTo[conversation._id] ? 'Sent' : 'Send'}
+                                </button>
+                            </div>
+                        ))
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SharePostModal;
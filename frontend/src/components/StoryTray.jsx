@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import StoryViewer from './StoryViewer.jsx';
+
+const StoryTray = () => {
+    const { user } = useAuth();
+    const [tray, setTray] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(null);
+    const [uploading, setUploading] = useState(false);
+    const fileInputRef = useRef(null);
+
+    useEffect(() => {
+        fetchTray();
+    }, []);
+
+    const fetchTray = async () => {
+        try {
+            const response = await api.get('/stories/tray');
+            setTray(response.data.tray || []);
+        } catch (err) {
+            console.error('Error fetching stories:', err);
+        }
+    };
+
+    const handleAddStory = async (file) => {
+        if (!file) return;
+        setUploading(true);
+
+        const formData = new FormData();
+        formData.append('image', file);
+
+        try {
+            const uploadRes = await api.post('/uploads', formData, {
+                headers: { 'Content-Type': 'multipart/form-data' }
+            });
+            await api.post('/stories', { mediaId: uploadRes.data.media._id });
+            await fetchTray();
+        } catch (err) {
+            console.error('Error adding story:', err);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const handleClose = () => {
+        setActiveIndex(null);
+        fetchTray();
+    };
+
+    const hasOwnStories = tray[0]?.user?._id === user?.id;
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6">
+            <div className="flex space-x-4 overflow-x-auto">
+                {/* Add Story */}
+                <button
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={uploading}
+                    className="flex flex-col items-center flex-shrink-0 w-16 focus:outline-none"
+                >
+                    <div className="relative">
+                        <img
+                            src={user?.profilePicture || 'https://via.placeholder.com/56'}
+                            alt="Your story"
+                            className={`w-14 h-14 rounded-full object-cover border border-gray-200 ${uploading ? 'opacity-50' : ''}`}
+                        />
+                        <span className="absolute bottom-0 right-0 bg-blue-500 text-white rounded-full w-5 h-5 flex items-center justify-center text-sm border-2 border-white">
+                            +
+                        </span>
+                    </div>
+                    <span className="text-xs mt-1 truncate w-full text-center">
+                        {uploading ? 'Posting...' : 'Add story'}
+                    </span>
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="image/jpeg,image/png,image/webp"
+                    onChange={(e) => {
+                        handleAddStory(e.target.files?.[0]);
+                        e.target.value = '';
+                    }}
+                    className="hidden"
+                />
+
+                {/* Story Rings */}
+                {tray.map((entry, index) => (
+                    <button
+                        key={entry.user._id}
+                        onClick={() => setActiveIndex(index)}
+                        className="flex flex-col items-center flex-shrink-0 w-16 focus:outline-none"
+                    >
+                        <div className={`p-0.5 rounded-full ${
+                            entry.hasUnseen
+                                ? 'bg-gradient-to-tr from-yellow-400 via-red-500 to-purple-600'
+                                : 'bg-gray-300'
+                        }`}>
+                            <img
+                                src={entry.user.profilePicture || 'https://via.placeholder.com/56'}
+                                alt={entry.user.username}
+                                className="w-14 h-14 rounded-full object-cover border-2 border-white"
+                            />
+                        </div>
+                        <span className="text-xs mt-1 truncate w-full text-center">
+                            {hasOwnStories && index === 0 ? 'Your story' : entry.user.username}
+                        </span>
+                    </button>
+                ))}
+            </div>
+
+            {activeIndex !== null && (
+                <StoryViewer
+                    tray={tray}
+                    initialIndex={activeIndex}
+                    onClose={handleClose}
+                />
+            )}
+        </div>
+    );
+};
+
+export default StoryTray;
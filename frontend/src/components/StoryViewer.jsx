@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+
+const STORY_DURATION = 5000;
+const TICK = 50;
+
+const firstUnseenIndex = (entry) => {
+    const index = entry.stories.findIndex(s => !s.seen);
+    return index === -1 ? 0 : index;
+};
+
+const StoryViewer = ({ tray, initialIndex = 0, onClose }) => {
+    const { user } = useAuth();
+    const [userIndex, setUserIndex] = useState(initialIndex);
+    const [storyIndex, setStoryIndex] = useState(() => firstUnseenIndex(tray[initialIndex]));
+    const [elapsed, setElapsed] = useState(0);
+    const [viewers, setViewers] = useState(null);
+
+    const entry = tray[userIndex];
+    const story = entry?.stories[storyIndex];
+    const isOwnStory = entry?.user?._id === user?.id;
+    const paused = viewers !== null;
+
+    const goNext = useCallback(() => {
+        setElapsed(0);
+        if (storyIndex < entry.stories.length - 1) {
+            setStoryIndex(storyIndex + 1);
+        } else if (userIndex < tray.length - 1) {
+            setUserIndex(userIndex + 1);
+            setStoryIndex(firstUnseenIndex(tray[userIndex + 1]));
+        } else {
+            onClose();
+        }
+    }, [storyIndex, userIndex, entry, tray, onClose]);
+
+    const goPrevious = () => {
+        setElapsed(0);
+        if (storyIndex > 0) {
+            setStoryIndex(storyIndex - 1);
+        } else if (userIndex > 0) {
+            setUserIndex(userIndex - 1);
+            setStoryIndex(0);
+        }
+    };
+
+    // Mark each story as viewed when it is shown.
+    useEffect(() => {
+        if (story && !isOwnStory && !story.seen) {
+            story.seen = true;
+            api.post(`/stories/${story._id}/view`).catch(err => {
+                console.error('Error marking story as viewed:', err);
+            });
+        }
+    }, [story, isOwnStory]);
+
+    // Auto-advance
+    useEffect(() => {
+        if (paused) return undefined;
+        const timer = setInterval(() => {
+            setElapsed(prev => prev + TICK);
+        }, TICK);
+        return () => clearInterval(timer);
+    }, [paused, userIndex, storyIndex]);
+
+    useEffect(() => {
+        if (elapsed >= STORY_DURATION) {
+            goNext();
+        }
+    }, [elapsed, goNext]);
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    const handleShowViewers = async () => {
+        try {
+            const response = await api.get(`/stories/${story._id}/viewers`);
+            setViewers(response.data.viewers || []);
+        } catch (err) {
+            console.error('Error fetching story viewers:', err);
+        }
+    };
+
+    if (!story) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black bg-opacity-95 flex items-center justify-center">
+            <div className="relative w-full max-w-md h-full max-h-[90vh] bg-black">
+                {/* Progress Bars */}
+                <div className="absolute top-2 left-2 right-2 flex gap-1 z-10">
+                    {entry.stories.map((s, i) => (
+                        <div key={s._id} className="flex-1 h-0.5 bg-white bg-opacity-40 rounded">
+                            <div
+                                className="h-0.5 bg-white rounded"
+                                style={{
+                                    width: i < storyIndex ? '100%' : i === storyIndex ? `${Math.min(100, (elapsed / STORY_DURATION) * 100)}%` : '0%'
+                                }}
+                            />
+                        </div>
+                    ))}
+                </div>
+
+                {/* Header */}
+                <div className="absolute top-5 left-3 right-3 flex items-center justify-between z-10">
+                    <Link to={`/profile/${entry.user._id}`} onClick={onClose} className="flex items-center">
+                        <img
+                            src={entry.user.profilePicture || 'https://via.placeholder.com/32'}
+                            alt={entry.user.username}
+                            className="w-8 h-8 rounded-full object-cover"
+                        />
+                        <span className="ml-2 text-white text-sm font-semibold">{entry.user.username}</span>
+                    </Link>
+                    <button onClick={onClose} className="text-white text-2xl leading-none" aria-label="Close">
+                        ×
+                    </button>
+                </div>
+
+                {/* Image */}
+                <img
+                    src={story.imageUrl}
+                    alt={story.caption || 'Story'}
+                    className="w-full h-full object-contain"
+                />
+
+                {/* Tap Zones */}
+                <button onClick={goPrevious} className="absolute inset-y-0 left-0 w-1/3" aria-label="Previous story" />
+                <button onClick={goNext} className="absolute inset-y-0 right-0 w-2/3" aria-label="Next story" />
+
+                {/* Caption */}
+                {story.caption && (
+                    <p className="absolute bottom-16 left-0 right-0 text-center text-white text-sm px-4">
+                        {story.caption}
+                    </p>
+                )}
+
+                {/* Viewers */}
+                {isOwnStory && (
+                    <button
+                        onClick={handleShowViewers}
+                        className="absolute bottom-4 left-4 text-white text-sm font-semibold z-10"
+                    >
+                        Seen by
+                    </button>
+                )}
+
+                {viewers !== null && (
+                    <div className="absolute inset-x-0 bottom-0 bg-white rounded-t-lg max-h-[50%] overflow-y-auto z-20">
+                        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+                            <h3 className="font-semibold text-sm">Viewers ({viewers.length})</h3>
+                            <button onClick={() => setViewers(null)} className="text-gray-500 text-sm">
+                                Close
+                            </button>
+                        </div>
+                        {viewers.length === 0 ? (
+                            <p className="text-gray-400 text-sm text-center py-6">No views yet</p>
+                        ) : (
+                            viewers.map(v => (
+                                <Link
+                                    key={v.user?._id}
+                                    to={`/profile/${v.user?._id}`}
+                                    onClick={onClose}
+                                    className="flex items-center p-3 hover:bg-gray-50"
+                                >
+                                    <img
+                                        src={v.user?.profilePicture || 'https://via.placeholder.com/32'}
+                                        alt={v.user?.username}
+                                        className="w-8 h-8 rounded-full object-cover"
+                                    />
+                                    <span className="ml-3 text-sm font-semibold">{v.user?.username}</span>
+                                </Link>
+                            ))
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default StoryViewer;
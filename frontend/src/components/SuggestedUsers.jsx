@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../lib/api';
+
+// "Suggested for you" cards with follow and dismiss; renders nothing when there are no suggestions.
+const SuggestedUsers = ({ limit = 6, gridClassName = 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4' }) => {
+    const [suggestions, setSuggestions] = useState([]);
+    const [followingMap, setFollowingMap] = useState({});
+
+    useEffect(() => {
+        const fetchSuggestions = async () => {
+            try {
+                const response = await api.get('/users/suggestions', { params: { limit } });
+                setSuggestions(response.data.suggestions || []);
+            } catch (err) {
+                console.error('Error fetching suggestions:', err);
+            }
+        };
+        fetchSuggestions();
+    }, [limit]);
+
+    const handleFollow = async (userId) => {
+        try {
+            if (followingMap[userId]) {
+                await api.delete(`/users/${userId}/follow`);
+                setFollowingMap({ ...followingMap, [userId]: false });
+            } else {
+                const response = await api.post(`/users/${userId}/follow`);
+                setFollowingMap({ ...followingMap, [userId]: response.data.requested ? 'requested' : true });
+            }
+        } catch (err) {
+            console.error('Error following user:', err);
+        }
+    };
+
+    const handleDismiss = async (userId) => {
+        try {
+            await api.post(`/users/suggestions/${userId}/dismiss`);
+            setSuggestions(prev => prev.filter(s => s.user._id !== userId));
+        } catch (err) {
+            console.error('Error dismissing suggestion:', err);
+        }
+    };
+
+    if (suggestions.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg p-6 mb-8">
+            <h2 className="text-lg font-semibold mb-4">Suggested for you</h2>
+            <div className={gridClassName}>
+                {suggestions.map(({ user, reason }) => (
+                    <div key={user._id} className="relative flex items-center justify-between p-3 border border-gray-100 rounded-lg hover:bg-gray-50 transition-colors">
+                        <Link to={`/profile/${user._id}`} className="flex items-center min-w-0">
+                            <img
+                                src={user.profilePicture || 'https://via.placeholder.com/40'}
+                                alt={user.username}
+                                className="w-10 h-10 rounded-full object-cover flex-shrink-0"
+                            />
+                            <div className="ml-3 min-w-0">
+                                <p className="font-semibold text-sm hover:underline truncate">{user.username}</p>
+                                <p className="text-xs text-gray-500 truncate">{reason}</p>
+                            </div>
+                        </Link>
+                        <div className="flex items-center ml-2">
+                            <button
+                                onClick={() => handleFollow(user._id)}
+                                className={`text-sm font-semibold px-3 py-1 rounded ${
+                                    followingMap[user._id]
+                                        ? 'bg-gray-100 text-gray-800'
+                                        : 'bg-blue-500 text-white'
+                                }`}
+                            >
+                                {followingMap[user._id] === 'requested' ? 'Requested' : followingMap[user._id] ? 'Following' : 'Follow'}
+                            </button>
+                            <button
+                                onClick={() => handleDismiss(user._id)}
+                                className="ml-2 text-gray-400 hover:text-gray-600 text-lg leading-none"
+                                aria-label={`Dismiss ${user.username}`}
+                            >
+                                ×
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default SuggestedUsers;
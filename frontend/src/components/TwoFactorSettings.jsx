@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import api from '../lib/api';
+
+const errorMessage = (err, fallback) =>
+    err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || fallback;
+
+const TwoFactorSettings = () => {
+    const [status, setStatus] = useState(null);
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [confirming, setConfirming] = useState(null);
+    const [error, setError] = useState('');
+    const [working, setWorking] = useState(false);
+
+    useEffect(() => {
+        fetchStatus();
+    }, []);
+
+    const fetchStatus = async () => {
+        try {
+            const response = await api.get('/auth/2fa');
+            setStatus(response.data);
+        } catch (err) {
+            console.error('Error fetching two-factor status:', err);
+        }
+    };
+
+    const run = async (action, fallback) => {
+        setError('');
+        setWorking(true);
+        try {
+            await action();
+        } catch (err) {
+            setError(errorMessage(err, fallback));
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleStartSetup = () => run(async () => {
+        const response = await api.post('/auth/2fa/setup');
+        setSetup(response.data);
+        setRecoveryCodes(null);
+    }, 'Failed to start setup');
+
+    const handleEnable = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const response = await api.post('/auth/2fa/enable', { code });
+            setRecoveryCodes(response.data.recoveryCodes);
+            setSetup(null);
+            setCode('');
+            await fetchStatus();
+        }, 'Failed to turn on two-factor authentication');
+    };
+
+    // Disabling and regenerating codes both ask for the password again
+    const handleConfirmPassword = (e) => {
+        e.preventDefault();
+        run(async () => {
+            if (confirming === 'disable') {
+                await api.post('/auth/2fa/disable', { password });
+                setRecoveryCodes(null);
+            } else {
+                const response = await api.post('/auth/2fa/recovery-codes', { password });
+                setRecoveryCodes(response.data.recoveryCodes);
+            }
+            setConfirming(null);
+            setPassword('');
+            await fetchStatus();
+        }, 'Something went wrong');
+    };
+
+    if (!status) return null;
+
+    return (
+        <div className="bg-white border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between border-b border-gray-200 p-6">
+                <h2 className="text-xl font-semibold">Two-factor authentication</h2>
+                <span className={`text-sm font-semibold ${status.enabled ? 'text-green-600' : 'text-gray-400'}`}>
+                    {status.enabled ? 'On' : 'Off'}
+                </span>
+            </div>
+
+            <div className="p-6 space-y-4">
+                {error && (
+                    <div className="bg-red-50 text-red-500 p-3 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {/* Recovery Codes */}
+                {recoveryCodes && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+                        <p className="text-sm font-semibold mb-2">Save your recovery codes</p>
+                        <p className="text-xs text-gray-600 mb-3">
+                            Each code can be used once to log in if you lose your phone. They won't be shown again.
+                        </p>
+                        <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                            {recoveryCodes.map(recoveryCode => (
+                                <span key={recoveryCode}>{recoveryCode}</span>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                {!status.enabled && !setup && (
+                    <>
+                        <p className="text-sm text-gray-600">
+                            Require a code from an authenticator app in addition to your password when you log in.
+                        </p>
+                        <button onClick={handleStartSetup} disabled={working} className="btn-primary px-6">
+                            Set Up
+                        </button>
+                    </>
+                )}
+
+                {/* Enrollment */}
+                {setup && (
+                    <form onSubmit={handleEnable} className="space-y-4">
+                        <p className="text-sm text-gray-600">
+                            Scan this QR code with your authenticator app, or enter the key manually.
+                        </p>
+                        <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+                        <p className="font-mono text-xs break-all bg-gray-50 p-2 rounded">{setup.secret}</p>
+                        <input
+                            type="text"
+                            inputMode="numeric"
+                            autoComplete="one-time-code"
+                            placeholder="6-digit code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            className="input-field"
+                            maxLength={6}
+                            required
+                        />
+                        <div className="flex gap-4">
+                            <button type="submit" disabled={working || code.trim().length !== 6} className="btn-primary px-6">
+                                Turn On
+                            </button>
+                            <button type="button" onClick={() => setSetup(null)} className="btn-secondary">
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                )}
+
+                {status.enabled && !confirming && (
+                    <>
+                        <p className="text-sm text-gray-600">
+                            {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+                        </p>
+                        <div className="flex gap-4">
+                            <button onClick={() => setConfirming('recovery-codes')} className="btn-secondary">
+                                New Recovery Codes
+                            </button>
+                            <button onClick={() => setConfirming('disable')} className="btn-secondary text-red-500">
+                                Turn Off
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {/* Password Confirmation */}
+                {confirming && (
+                    <form onSubmit={handleConfirmPassword} className="space-y-4">
+                        <p className="text-sm text-gray-600">
+                            {confirming === 'disable'
+                                ? 'Enter your password to turn off two-factor authentication.'
+                                : 'Enter your password to replace your recovery codes. The old ones will stop working.'}
+                        </p>
+                        <input
+                            type="password"
+                            placeholder="Password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className="input-field"
+                            required
+                        />
+                        <div className="flex gap-4">
+                            <button type="submit" disabled={working || !password} className="btn-primary px-6">
+                                Confirm
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    setConfirming(null);
+                                    setPassword('');
+                                }}
+                                className="btn-secondary"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmailBanner = () => {
+    const { user } = useAuth();
+    const [message, setMessage] = useState('');
+    const [sending, setSending] = useState(false);
+
+    if (!user || user.emailVerified !== false) return null;
+
+    const handleResend = async () => {
+        setSending(true);
+        try {
+            const response = await api.post('/auth/resend-verification');
+            setMessage(response.data.message);
+        } catch (err) {
+            setMessage(err.response?.data?.message || 'Failed to send verification email');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-lg p-3 mb-6 flex items-center justify-between">
+            <span>
+                {message || `Verify ${user.email} to start posting and commenting.`}
+            </span>
+            <button
+                onClick={handleResend}
+                disabled={sending}
+                className="font-semibold ml-4 whitespace-nowrap disabled:opacity-50"
+            >
+                {sending ? 'Sending...' : 'Resend email'}
+            </button>
+        </div>
+    );
+};
+
+export default VerifyEmailBanner;
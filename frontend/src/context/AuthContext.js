@@ -1,5 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import api from '../lib/api';
+import api, { clearSession } from '../lib/api';
+import { connectRealtime, disconnectRealtime } from '../lib/realtime';
 
 const AuthContext = createContext(null);
 
@@ -11,6 +12,14 @@ export const AuthProvider = ({ children }) => {
         checkAuth();
     }, []);
 
+    useEffect(() => {
+        if (user) {
+            connectRealtime();
+        } else {
+            disconnectRealtime();
+        }
+    }, [user]);
+
     const checkAuth = async () => {
         const token = localStorage.getItem('token');
         if (token) {
@@ -18,43 +27,72 @@ export const AuthProvider = ({ children }) => {
                 const response = await api.get('/auth/me');
                 setUser(response.data.user);
             } catch (error) {
-                localStorage.removeItem('token');
-                localStorage.removeItem('user');
+                clearSession();
             }
         }
         setLoading(false);
     };
 
-    const login = async (email, password) => {
-        const response = await api.post('/auth/login', { email, password });
-        const { token, user } = response.data;
+    const startSession = (data) => {
+        const { token, refreshToken, user } = data;
         localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', refreshToken);
         localStorage.setItem('user', JSON.stringify(user));
         setUser(user);
+    };
+
+    // Resolves with twoFactorRequired and a challengeToken when the account has 2FA on;
+    // finish with completeTwoFactorLogin.
+    const login = async (email, password) => {
+        const response = await api.post('/auth/login', { email, password });
+        if (!response.data.twoFactorRequired) {
+            startSession(response.data);
+        }
+        return response.data;
+    };
+
+    const completeTwoFactorLogin = async (challengeToken, code) => {
+        const response = await api.post('/auth/login/2fa', { challengeToken, code });
+        startSession(response.data);
         return response.data;
     };
 
     const signup = async (username, email, password) => {
         const response = await api.post('/auth/signup', { username, email, password });
-        const { token, user } = response.data;
-        localStorage.setItem('token', token);
-        localStorage.setItem('user', JSON.stringify(user));
-        setUser(user);
+        startSession(response.data);
         return response.data;
     };
 
-    const logout = () => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    const logout = async () => {
+        const refreshToken = localStorage.getItem('refreshToken');
+        clearSession();
         setUser(null);
+        if (refreshToken) {
+            try {
+                await api.post('/auth/logout', { refreshToken });
+            } catch (error) {
+                console.error('Error revoking session:', error);
+            }
+        }
+    };
+
+    // Merge fields returned by profile or verification endpoints into the cached user
+    const updateUser = (updates) => {
+        setUser(prev => {
+            const next = { ...prev, ...updates };
+            localStorage.setItem('user', JSON.stringify(next));
+            return next;
+        });
     };
 
     const value = {
         user,
         loading,
         login,
+        completeTwoFactorLogin,
         signup,
         logout,
+        updateUser,
         isAuthenticated: !!user
     };
 
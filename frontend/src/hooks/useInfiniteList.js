@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import api from '../lib/api';
+
+const itemId = (item) => item._id;
+
+// Pages through an endpoint that answers with { items, nextCursor }. Pass a null url to
+// leave the list empty. Attach sentinelRef to an element after the list and the next page
+// loads as it scrolls into view. getKey identifies items for dropping duplicates.
+export const useInfiniteList = (url, params = {}, { getKey = itemId } = {}) => {
+    const [items, setItems] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(Boolean(url));
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [error, setError] = useState(null);
+    const [sentinel, setSentinel] = useState(null);
+    // Responses that arrive after the url or params changed are dropped
+    const requestRef = useRef(0);
+    const paramsKey = JSON.stringify(params);
+
+    const reload = useCallback(async () => {
+        const request = ++requestRef.current;
+        setItems([]);
+        setNextCursor(null);
+        setError(null);
+        setLoadingMore(false);
+        if (!url) {
+            setLoading(false);
+            return;
+        }
+        try {
+            setLoading(true);
+            const response = await api.get(url, { params: JSON.parse(paramsKey) });
+            if (request !== requestRef.current) return;
+            setItems(response.data.items || []);
+            setNextCursor(response.data.nextCursor || null);
+        } catch (err) {
+            if (request !== requestRef.current) return;
+            setError(err);
+            console.error(`Error fetching ${url}:`, err);
+        } finally {
+            if (request === requestRef.current) setLoading(false);
+        }
+    }, [url, paramsKey]);
+
+    useEffect(() => {
+        reload();
+    }, [reload]);
+
+    const loadMore = async () => {
+        if (!nextCursor || loadingMore) return;
+        const request = requestRef.current;
+        try {
+            setLoadingMore(true);
+            const response = await api.get(url, { params: { ...JSON.parse(paramsKey), cursor: nextCursor } });
+            if (request !== requestRef.current) return;
+            // Items added locally since the last page may come back from the server too
+            setItems(prev => [
+                ...prev,
+                ...(response.data.items || []).filter(item => !prev.some(p => getKey(p) === getKey(item)))
+            ]);
+            setNextCursor(response.data.nextCursor || null);
+        } catch (err) {
+            console.error(`Error fetching more from ${url}:`, err);
+        } finally {
+            if (request === requestRef.current) setLoadingMore(false);
+        }
+    };
+
+    const loadMoreRef = useRef(loadMore);
+    loadMoreRef.current = loadMore;
+    useEffect(() => {
+        if (!sentinel || !nextCursor) return undefined;
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) loadMoreRef.current();
+        }, { rootMargin: '400px' });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [sentinel, nextCursor]);
+
+    return {
+        items,
+        setItems,
+        loading,
+        loadingMore,
+        error,
+        hasMore: Boolean(nextCursor),
+        loadMore,
+        reload,
+        sentinelRef: setSentinel
+    };
+};
@@ -0,0 +1,23 @@
+import { useEffect, useRef } from 'react';
+import { onRealtime, watchPost } from '../lib/realtime';
+
+export const useRealtimeEvent = (type, handler) => {
+    const handlerRef = useRef(handler);
+
+    useEffect(() => {
+        handlerRef.current = handler;
+    });
+
+    useEffect(() => onRealtime(type, (data) => handlerRef.current(data)), [type]);
+};
+
+// Live like and comment counts for a post while it is on screen.
+export const useLivePost = (postId, handler) => {
+    useEffect(() => (postId ? watchPost(postId) : undefined), [postId]);
+
+    useRealtimeEvent('post:update', (data) => {
+        if (data.postId === postId) {
+            handler(data);
+        }
+    });
+};
@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react';
+import api from '../lib/api';
+
+const FLUSH_INTERVAL = 5000;
+// The most the server takes in one report
+const MAX_BATCH = 50;
+
+// Reports posts that scroll into view inside containerRef (elements marked with
+// data-post-id) as seen, batched every few seconds. Only runs while enabled.
+export const useSeenPosts = (enabled, posts) => {
+    const containerRef = useRef(null);
+    const pendingRef = useRef(new Set());
+    const reportedRef = useRef(new Set());
+
+    useEffect(() => {
+        if (!enabled) return undefined;
+        const flush = () => {
+            const postIds = [...pendingRef.current].slice(0, MAX_BATCH);
+            postIds.forEach(postId => pendingRef.current.delete(postId));
+            if (postIds.length === 0) return;
+            api.post('/feed/seen', { postIds }).catch(err => console.error('Error reporting seen posts:', err));
+        };
+        const timer = setInterval(flush, FLUSH_INTERVAL);
+        return () => {
+            clearInterval(timer);
+            flush();
+        };
+    }, [enabled]);
+
+    useEffect(() => {
+        if (!enabled || !containerRef.current) return undefined;
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const postId = entry.target.dataset.postId;
+                if (entry.isIntersecting && !reportedRef.current.has(postId)) {
+                    reportedRef.current.add(postId);
+                    pendingRef.current.add(postId);
+                }
+            });
+        }, { threshold: 0.5 });
+        containerRef.current.querySelectorAll('[data-post-id]').forEach(el => observer.observe(el));
+        return () => observer.disconnect();
+    }, [enabled, posts]);
+
+    return containerRef;
+};
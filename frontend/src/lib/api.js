@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 const api = axios.create({
     baseURL: API_URL,
@@ -23,17 +23,72 @@ api.interceptors.request.use(
     }
 );
 
-// Handle response errors
+const clearSession = () => {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+};
+
+// Requests where a 401 means bad credentials rather than an expired access token
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout'];
+
+// Shared so concurrent 401s wait on a single refresh instead of each rotating the token
+let refreshPromise = null;
+
+const refreshTokens = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+        throw new Error('No refresh token');
+    }
+    try {
+        // Plain axios so a failed refresh doesn't loop back through this interceptor
+        const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        return response.data.token;
+    } catch (error) {
+        // Another tab may have rotated the token while this request was in flight
+        const latest = localStorage.getItem('refreshToken');
+        if (latest && latest !== refreshToken) {
+            return localStorage.getItem('token');
+        }
+        throw error;
+    }
+};
+
+// For other clients of the access token (the realtime socket) that need a fresh one
+const refreshSession = () => {
+    if (!refreshPromise) {
+        refreshPromise = refreshTokens().finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+};
+
+// Refresh the access token on 401 and replay the request once
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
-        if (error.response && error.response.status === 401) {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+    async (error) => {
+        const { config, response } = error;
+        if (!response || response.status !== 401 || !config || config._retry
+            || AUTH_ENDPOINTS.some(endpoint => config.url?.startsWith(endpoint))) {
+            return Promise.reject(error);
+        }
+
+        try {
+            const token = await refreshSession();
+            config._retry = true;
+            config.headers.Authorization = `Bearer ${token}`;
+            return api(config);
+        } catch (refreshError) {
+            clearSession();
             window.location.href = '/login';
+            return Promise.reject(error);
         }
-        return Promise.reject(error);
     }
 );
 
+export { clearSession, refreshSession };
+
 export default api;
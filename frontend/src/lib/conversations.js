@@ -0,0 +1,17 @@
+// Helpers shared by the inbox and thread pages.
+
+export const getOtherParticipants = (conversation, currentUserId) =>
+    (conversation?.participants || []).filter(p => p._id !== currentUserId);
+
+export const getConversationTitle = (conversation, currentUserId) => {
+    if (conversation?.isGroup && conversation.name) {
+        return conversation.name;
+    }
+    const others = getOtherParticipants(conversation, currentUserId);
+    return others.map(p => p.username).join(', ') || 'Conversation';
+};
+
+export const getConversationAvatar = (conversation, currentUserId) => {
+    const [first] = getOtherParticipants(conversation, currentUserId);
+    return first?.profilePicture || 'https://via.placeholder.com/56';
+};
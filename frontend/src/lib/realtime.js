@@ -0,0 +1,120 @@
+import { API_URL, refreshSession } from './api';
+
+const WS_URL = process.env.REACT_APP_WS_URL || `${API_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '')}/ws`;
+const MAX_RECONNECT_DELAY = 30000;
+// Sent by the server when the session behind the socket is revoked
+const SESSION_REVOKED = 4001;
+
+let socket = null;
+let shouldReconnect = false;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+const listeners = new Map();
+const watchedPosts = new Map();
+
+const emit = (type, data) => {
+    (listeners.get(type) || []).forEach(handler => handler(data));
+};
+
+const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+export const connectRealtime = () => {
+    const token = localStorage.getItem('token');
+    if (!token || socket) return;
+    shouldReconnect = true;
+
+    const ws = new WebSocket(`${WS_URL}?token=${encodeURIComponent(token)}`);
+    socket = ws;
+
+    let opened = false;
+    ws.onopen = () => {
+        opened = true;
+        reconnectAttempts = 0;
+        if (watchedPosts.size > 0) {
+            send({ type: 'subscribe', posts: [...watchedPosts.keys()] });
+        }
+    };
+
+    ws.onmessage = (event) => {
+        try {
+            const { type, data } = JSON.parse(event.data);
+            emit(type, data);
+        } catch (err) {
+            console.error('Invalid realtime message:', err);
+        }
+    };
+
+    ws.onclose = (event) => {
+        if (socket === ws) {
+            socket = null;
+        }
+        if (event.code === SESSION_REVOKED) {
+            shouldReconnect = false;
+        }
+        if (!shouldReconnect) return;
+        const scheduleReconnect = () => {
+            // Logged out while the refresh was in flight
+            if (!shouldReconnect) return;
+            const delay = Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY);
+            reconnectAttempts += 1;
+            reconnectTimer = setTimeout(connectRealtime, delay);
+        };
+        if (opened) {
+            scheduleReconnect();
+            return;
+        }
+        // Browsers hide the status of a refused upgrade, and an expired access token is the
+        // usual reason, so get a fresh one before trying again
+        refreshSession()
+            .then(scheduleReconnect)
+            .catch((err) => {
+                // The server turned the refresh token down: the session is over
+                if (err.response || !localStorage.getItem('refreshToken')) {
+                    shouldReconnect = false;
+                } else {
+                    scheduleReconnect();
+                }
+            });
+    };
+};
+
+export const disconnectRealtime = () => {
+    shouldReconnect = false;
+    clearTimeout(reconnectTimer);
+    if (socket) {
+        const ws = socket;
+        socket = null;
+        ws.close();
+    }
+};
+
+// Returns an unsubscribe function.
+export const onRealtime = (type, handler) => {
+    if (!listeners.has(type)) {
+        listeners.set(type, new Set());
+    }
+    listeners.get(type).add(handler);
+    return () => listeners.get(type).delete(handler);
+};
+
+// Posts are reference counted so a post shown twice on screen is only subscribed once.
+export const watchPost = (postId) => {
+    const count = watchedPosts.get(postId) || 0;
+    watchedPosts.set(postId, count + 1);
+    if (count === 0) {
+        send({ type: 'subscribe', posts: [postId] });
+    }
+    return () => {
+        const remaining = (watchedPosts.get(postId) || 1) - 1;
+        if (remaining === 0) {
+            watchedPosts.delete(postId);
+            send({ type: 'unsubscribe', posts: [postId] });
+        } else {
+            watchedPosts.set(postId, remaining);
+        }
+    };
+};
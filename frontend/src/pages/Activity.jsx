@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../lib/api';
+
+const ACTIONS = {
+    like: 'liked your post.',
+    comment: 'commented on your post:',
+    reply: 'replied to your comment:',
+    follow: 'started following you.',
+    follow_request: 'requested to follow you.',
+    follow_accept: 'accepted your follow request.'
+};
+
+const Activity = () => {
+    const [notifications, setNotifications] = useState([]);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchNotifications(1);
+    }, []);
+
+    const fetchNotifications = async (pageToLoad) => {
+        try {
+            setLoading(true);
+            const response = await api.get('/notifications', { params: { page: pageToLoad } });
+            const items = response.data.notifications || [];
+            setNotifications(prev => pageToLoad === 1 ? items : [...prev, ...items]);
+            setHasMore(response.data.pagination?.hasMore);
+            setPage(pageToLoad);
+            if (pageToLoad === 1) {
+                api.post('/notifications/read').catch(() => {});
+            }
+        } catch (err) {
+            setError('Failed to load activity. Please try again.');
+            console.error('Error fetching notifications:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const formatActors = (notification) => {
+        const [first, second] = notification.actors;
+        if (!first) return 'Someone';
+        if (notification.actorCount > 2) {
+            return `${first.username} and ${notification.actorCount - 1} others`;
+        }
+        if (second) {
+            return `${first.username} and ${second.username}`;
+        }
+        return first.username;
+    };
+
+    const formatDate = (dateString) => {
+        const diffTime = Math.abs(new Date() - new Date(dateString));
+        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+        if (diffDays === 0) {
+            const diffHours = Math.floor(diffTime / (1000 * 60 * 60));
+            if (diffHours === 0) {
+                return `${Math.floor(diffTime / (1000 * 60))}m`;
+            }
+            return `${diffHours}h`;
+        } else if (diffDays < 7) {
+            return `${diffDays}d`;
+        }
+        return `${Math.floor(diffDays / 7)}w`;
+    };
+
+    if (error) {
+        return (
+            <div className="flex flex-col justify-center items-center min-h-screen">
+                <p className="text-red-500 mb-4">{error}</p>
+                <button onClick={() => fetchNotifications(1)} className="btn-primary">
+                    Try Again
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-2xl mx-auto">
+            <div className="bg-white border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between border-b border-gray-200 p-4">
+                    <h1 className="text-xl font-semibold">Activity</h1>
+                    <Link to="/mentions" className="text-sm text-blue-500 font-semibold">
+                        Mentions
+                    </Link>
+                </div>
+
+                {!loading && notifications.length === 0 ? (
+                    <p className="text-gray-400 text-sm text-center py-16">
+                        When someone likes or comments on your posts, you'll see it here.
+                    </p>
+                ) : (
+                    notifications.map(notification => (
+                        <div
+                            key={notification.groupKey}
+                            className={`flex items-center p-4 border-b border-gray-100 last:border-b-0 ${
+                                notification.read ? '' : 'bg-blue-50'
+                            }`}
+                        >
+                            <Link to={`/profile/${notification.actors[0]?._id}`} className="flex-shrink-0">
+                                <img
+                                    src={notification.actors[0]?.profilePicture || 'https://via.placeholder.com/44'}
+                                    alt={notification.actors[0]?.username}
+                                    className="w-11 h-11 rounded-full object-cover"
+                                />
+                            </Link>
+                            <p className="ml-3 flex-1 text-sm">
+                                <span className="font-semibold">{formatActors(notification)}</span>{' '}
+                                {ACTIONS[notification.type]}
+                                {['comment', 'reply'].includes(notification.type) && notification.comment && (
+                                    <span> {notification.comment.text}</span>
+                                )}
+                                <span className="text-gray-400 ml-1">{formatDate(notification.latestAt)}</span>
+                            </p>
+                            {notification.type === 'follow_request' && (
+                                <Link to="/follow-requests" className="btn-primary text-xs ml-3">
+                                    Review
+                                </Link>
+                            )}
+                            {notification.post && (
+                                <Link to={`/post/${notification.post._id}`} className="ml-3 flex-shrink-0">
+                                    <img
+                                        src={notification.post.media?.[0]?.thumbnailUrl || notification.post.imageUrl}
+                                        alt="Post"
+                                        className="w-11 h-11 object-cover"
+                                    />
+                                </Link>
+                            )}
+                        </div>
+                    ))
+                )}
+
+                {loading && (
+                    <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
+                )}
+
+                {hasMore && !loading && (
+                    <div className="text-center p-4">
+                        <button onClick={() => fetchNotifications(page + 1)} className="text-blue-500 font-semibold text-sm">
+                            Load more
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Activity;
@@ -1,27 +1,118 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import api from '../lib/api';
 
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_ITEMS = 10;
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+let nextItemKey = 0;
+
 const CreatePost = () => {
-    const [imageUrl, setImageUrl] = useState('');
+    const [items, setItems] = useState([]);
     const [caption, setCaption] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
-    const [preview, setPreview] = useState('');
+    const [dragActive, setDragActive] = useState(false);
+    const fileInputRef = useRef(null);
+    const previewsRef = useRef([]);
     const navigate = useNavigate();
 
-    const handleImageUrlChange = (e) => {
-        const url = e.target.value;
-        setImageUrl(url);
-        setPreview(url);
+    useEffect(() => {
+        const previews = previewsRef.current;
+        return () => previews.forEach(url => URL.revokeObjectURL(url));
+    }, []);
+
+    const updateItem = (key, changes) => {
+        setItems(prev => prev.map(item => item.key === key ? { ...item, ...changes } : item));
+    };
+
+    const uploadItem = async (key, file) => {
+        const formData = new FormData();
+        formData.append('image', file);
+
+        try {
+            const response = await api.post('/uploads', formData, {
+                headers: { 'Content-Type': 'multipart/form-data' },
+                onUploadProgress: (event) => {
+                    if (event.total) {
+                        updateItem(key, { progress: Math.round((event.loaded * 100) / event.total) });
+                    }
+                }
+            });
+            updateItem(key, { media: response.data.media, uploading: false });
+        } catch (err) {
+            setItems(prev => prev.filter(item => item.key !== key));
+            setError(err.response?.data?.message || 'Failed to upload image. Please try again.');
+        }
+    };
+
+    const handleFiles = (fileList) => {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+        setError('');
+
+        const room = MAX_ITEMS - items.length;
+        if (files.length > room) {
+            setError(`A post can have at most ${MAX_ITEMS} images`);
+        }
+
+        const accepted = [];
+        for (const file of files.slice(0, Math.max(room, 0))) {
+            if (!ACCEPTED_TYPES.includes(file.type)) {
+                setError('Please choose JPEG, PNG or WebP images');
+                continue;
+            }
+            if (file.size > MAX_FILE_SIZE) {
+                setError('Each image must be smaller than 10 MB');
+                continue;
+            }
+            const preview = URL.createObjectURL(file);
+            previewsRef.current.push(preview);
+            accepted.push({ key: nextItemKey++, file, preview, progress: 0, uploading: true, media: null, alt: '' });
+        }
+
+        setItems(prev => [...prev, ...accepted.map(({ file, ...item }) => item)]);
+        accepted.forEach(({ key, file }) => uploadItem(key, file));
+    };
+
+    const handleRemove = (key) => {
+        const item = items.find(i => i.key === key);
+        if (item?.media) {
+            api.delete(`/uploads/${item.media._id}`).catch(() => {});
+        }
+        setItems(items.filter(i => i.key !== key));
+    };
+
+    const handleMove = (index, direction) => {
+        const target = index + direction;
+        if (target < 0 || target >= items.length) return;
+        const reordered = [...items];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        setItems(reordered);
+    };
+
+    const handleDrag = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDragActive(e.type === 'dragenter' || e.type === 'dragover');
     };
 
+    const handleDrop = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setDragActive(false);
+        handleFiles(e.dataTransfer.files);
+    };
+
+    const uploading = items.some(item => item.uploading);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
 
-        if (!imageUrl.trim()) {
-            setError('Please provide an image URL');
+        if (items.length === 0) {
+            setError('Please add at least one image');
             return;
         }
 
@@ -29,7 +120,7 @@ const CreatePost = () => {
 
         try {
             const response = await api.post('/posts', {
-                imageUrl: imageUrl.trim(),
+                media: items.map(item => ({ mediaId: item.media._id, alt: item.alt.trim() })),
                 caption: caption.trim()
             });
             navigate(`/post/${response.data.post._id}`);
@@ -57,41 +148,114 @@ const CreatePost = () => {
                     )}
 
                     <form onSubmit={handleSubmit} className="space-y-6">
-                        {/* Image URL Input */}
+                        {/* Image Picker */}
                         <div>
                             <label className="block text-sm font-medium text-gray-700 mb-2">
-                                Image URL
+                                Images ({items.length}/{MAX_ITEMS})
                             </label>
+
+                            {/* Selected Images */}
+                            {items.length > 0 && (
+                                <div className="space-y-3 mb-3">
+                                    {items.map((item, index) => (
+                                        <div key={item.key} className="flex items-start gap-3 border border-gray-200 rounded-lg p-2">
+                                            <div className="relative w-20 h-20 flex-shrink-0">
+                                                <img
+                                                    src={item.preview}
+                                                    alt={item.alt || `Image ${index + 1}`}
+                                                    className="w-20 h-20 object-cover rounded"
+                                                />
+                                                {item.uploading && (
+                                                    <div className="absolute inset-x-1 bottom-1 bg-gray-200 rounded-full h-1.5">
+                                                        <div
+                                                            className="bg-blue-500 h-1.5 rounded-full transition-all"
+                                                            style={{ width: `${item.progress}%` }}
+                                                        />
+                                                    </div>
+                                                )}
+                                            </div>
+                                            <div className="flex-1">
+                                                <input
+                                                    type="text"
+                                                    placeholder="Alt text (describe this image)"
+                                                    value={item.alt}
+                                                    onChange={(e) => updateItem(item.key, { alt: e.target.value })}
+                                                    className="input-field"
+                                                    maxLength={300}
+                                                />
+                                                <p className="text-xs text-gray-500 mt-1">
+                                                    {item.uploading ? `Uploading... ${item.progress}%` : `Image ${index + 1}`}
+                                                </p>
+                                            </div>
+                                            <div className="flex flex-col gap-1 text-gray-500">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleMove(index, -1)}
+                                                    disabled={index === 0}
+                                                    className="hover:text-gray-800 disabled:opacity-30"
+                                                    title="Move up"
+                                                >
+                                                    ↑
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleMove(index, 1)}
+                                                    disabled={index === items.length - 1}
+                                                    className="hover:text-gray-800 disabled:opacity-30"
+                                                    title="Move down"
+                                                >
+                                                    ↓
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleRemove(item.key)}
+                                                    disabled={item.uploading}
+                                                    className="hover:text-red-500 disabled:opacity-30"
+                                                    title="Remove"
+                                                >
+                                                    ✕
+                                                </button>
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+
+                            {items.length < MAX_ITEMS && (
+                                <div
+                                    onDragEnter={handleDrag}
+                                    onDragOver={handleDrag}
+                                    onDragLeave={handleDrag}
+                                    onDrop={handleDrop}
+                                    onClick={() => fileInputRef.current?.click()}
+                                    className={`border-2 border-dashed rounded-lg cursor-pointer transition-colors py-10 text-center ${
+                                        dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+                                    }`}
+                                >
+                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-300 mb-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                                    </svg>
+                                    <p className="text-sm text-gray-600">
+                                        {items.length === 0 ? 'Drag photos here or click to browse' : 'Add more photos'}
+                                    </p>
+                                </div>
+                            )}
                             <input
-                                type="url"
-                                placeholder="https://example.com/image.jpg"
-                                value={imageUrl}
-                                onChange={handleImageUrlChange}
-                                className="input-field"
-                                required
+                                ref={fileInputRef}
+                                type="file"
+                                accept={ACCEPTED_TYPES.join(',')}
+                                multiple
+                                onChange={(e) => {
+                                    handleFiles(e.target.files);
+                                    e.target.value = '';
+                                }}
+                                className="hidden"
                             />
                             <p className="text-xs text-gray-500 mt-1">
-                                Enter a direct link to an image (JPG, PNG, GIF)
+                                JPG, PNG or WebP, up to 10 MB each
                             </p>
                         </div>
 
-                        {/* Image Preview */}
-                        {preview && (
-                            <div className="mt-4">
-                                <label className="block text-sm font-medium text-gray-700 mb-2">
-                                    Preview
-                                </label>
-                                <div className="border border-gray-200 rounded-lg overflow-hidden">
-                                    <img
-                                        src={preview}
-                                        alt="Preview"
-                                        className="w-full max-h-96 object-contain bg-gray-100"
-                                        onError={() => setPreview('')}
-                                    />
-                                </div>
-                            </div>
-                        )}
-
                         {/* Caption Input */}
                         <div>
                             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -121,32 +285,13 @@ const CreatePost = () => {
                             </button>
                             <button
                                 type="submit"
-                                disabled={loading || !imageUrl.trim()}
+                                disabled={loading || uploading || items.length === 0}
                                 className="btn-primary flex-1 py-3"
                             >
                                 {loading ? 'Posting...' : 'Share Post'}
                             </button>
                         </div>
                     </form>
-
-                    {/* Sample Image URLs */}
-                    <div className="mt-8 p-4 bg-gray-50 rounded-lg">
-                        <h3 className="text-sm font-medium text-gray-700 mb-2">Sample Image URLs:</h3>
-                        <div className="space-y-1 text-xs text-gray-500">
-                            <p className="cursor-pointer hover:text-blue-500" onClick={() => {
-                                setImageUrl('https://picsum.photos/800/600');
-                                setPreview('https://picsum.photos/800/600');
-                            }}>
-                                • https://picsum.photos/800/600 (Random image)
-                            </p>
-                            <p className="cursor-pointer hover:text-blue-500" onClick={() => {
-                                setImageUrl('https://picsum.photos/800/800');
-                                setPreview('https://picsum.photos/800/800');
-                            }}>
-                                • https://picsum.photos/800/800 (Square image)
-                            </p>
-                        </div>
-                    </div>
                 </div>
             </div>
         </div>
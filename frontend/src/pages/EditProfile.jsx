@@ -1,16 +1,18 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import api from '../lib/api';
 import { useAuth } from '../context/AuthContext';
 
 const EditProfile = () => {
-    const { user, logout } = useAuth();
+    const { user, logout, updateUser } = useAuth();
     const navigate = useNavigate();
     const [formData, setFormData] = useState({
         username: '',
+        displayName: '',
         email: '',
         bio: '',
-        profilePicture: ''
+        profilePicture: '',
+        isPrivate: false
     });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
@@ -20,17 +22,20 @@ const EditProfile = () => {
         if (user) {
             setFormData({
                 username: user.username || '',
+                displayName: user.displayName || '',
                 email: user.email || '',
                 bio: user.bio || '',
-                profilePicture: user.profilePicture || ''
+                profilePicture: user.profilePicture || '',
+                isPrivate: !!user.isPrivate
             });
         }
     }, [user]);
 
     const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
         setFormData({
             ...formData,
-            [e.target.name]: e.target.value
+            [name]: type === 'checkbox' ? checked : value
         });
     };
 
@@ -41,13 +46,18 @@ const EditProfile = () => {
         setLoading(true);
 
         try {
-            await api.put('/users/profile', formData);
-            setSuccess('Profile updated successfully!');
-            setTimeout(() => {
-                navigate(`/profile/${user.id}`);
-            }, 1500);
+            const response = await api.put('/users/profile', formData);
+            const { user: updated, message } = response.data;
+            updateUser(updated);
+            setSuccess(message);
+            // Stay on the page while an email change is waiting for confirmation
+            if (!updated.pendingEmail) {
+                setTimeout(() => {
+                    navigate(`/profile/${user.id}`);
+                }, 1500);
+            }
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to update profile');
+            setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to update profile');
         } finally {
             setLoading(false);
         }
@@ -64,12 +74,20 @@ const EditProfile = () => {
                             alt={formData.username}
                             className="w-20 h-20 rounded-full object-cover"
                         />
-                        <div className="ml-6">
+                        <div className="ml-6 flex-1">
                             <h1 className="text-xl font-semibold">{formData.username}</h1>
                             <button className="text-blue-500 text-sm font-semibold mt-1">
                                 Change Profile Photo
                             </button>
                         </div>
+                        <div className="flex flex-col items-end gap-1">
+                            <Link to="/settings/security" className="text-sm font-semibold text-gray-700 hover:text-gray-500">
+                                Password & security
+                            </Link>
+                            <Link to="/settings/privacy" className="text-sm font-semibold text-gray-700 hover:text-gray-500">
+                                Blocked & muted
+                            </Link>
+                        </div>
                     </div>
                 </div>
 
@@ -106,6 +124,24 @@ const EditProfile = () => {
                         </div>
                     </div>
 
+                    {/* Display Name */}
+                    <div className="flex flex-col md:flex-row md:items-center">
+                        <label className="md:w-1/4 font-semibold text-right pr-8 mb-2 md:mb-0">
+                            Name
+                        </label>
+                        <div className="md:w-3/4">
+                            <input
+                                type="text"
+                                name="displayName"
+                                value={formData.displayName}
+                                onChange={handleChange}
+                                className="input-field"
+                                maxLength={50}
+                                placeholder="Name shown on your profile"
+                            />
+                        </div>
+                    </div>
+
                     {/* Email */}
                     <div className="flex flex-col md:flex-row md:items-center">
                         <label className="md:w-1/4 font-semibold text-right pr-8 mb-2 md:mb-0">
@@ -120,6 +156,11 @@ const EditProfile = () => {
                                 className="input-field"
                                 required
                             />
+                            {user?.pendingEmail && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                    Waiting for you to confirm {user.pendingEmail}. Until then, {user.email} stays on your account.
+                                </p>
+                            )}
                         </div>
                     </div>
 
@@ -161,6 +202,28 @@ const EditProfile = () => {
                         </div>
                     </div>
 
+                    {/* Privacy */}
+                    <div className="flex flex-col md:flex-row md:items-start">
+                        <label className="md:w-1/4 font-semibold text-right pr-8 mb-2 md:mb-0">
+                            Privacy
+                        </label>
+                        <div className="md:w-3/4">
+                            <label className="flex items-center text-sm">
+                                <input
+                                    type="checkbox"
+                                    name="isPrivate"
+                                    checked={formData.isPrivate}
+                                    onChange={handleChange}
+                                    className="mr-2"
+                                />
+                                Private account
+                            </label>
+                            <p className="text-xs text-gray-400 mt-1">
+                                Only people you approve can see your photos and who you follow.
+                            </p>
+                        </div>
+                    </div>
+
                     {/* Submit Button */}
                     <div className="flex flex-col md:flex-row md:items-center">
                         <div className="md:w-1/4"></div>
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../lib/api';
+
+const FollowRequests = () => {
+    const [requests, setRequests] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchRequests();
+    }, []);
+
+    const fetchRequests = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/follow-requests');
+            setRequests(response.data.requests || []);
+        } catch (err) {
+            setError('Failed to load follow requests.');
+            console.error('Error fetching follow requests:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRespond = async (requestId, approve) => {
+        try {
+            if (approve) {
+                await api.post(`/follow-requests/${requestId}/approve`);
+            } else {
+                await api.delete(`/follow-requests/${requestId}`);
+            }
+            setRequests(prev => prev.filter(r => r._id !== requestId));
+        } catch (err) {
+            console.error('Error responding to follow request:', err);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center min-h-screen">
+                <div className="text-gray-500">Loading requests...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-2xl mx-auto">
+            <div className="bg-white border border-gray-200 rounded-lg">
+                <div className="border-b border-gray-200 p-4">
+                    <h1 className="text-xl font-semibold">Follow Requests</h1>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 text-red-500 p-3 m-4 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {requests.length === 0 ? (
+                    <p className="text-gray-400 text-sm text-center py-16">
+                        No pending follow requests
+                    </p>
+                ) : (
+                    requests.map(request => (
+                        <div key={request._id} className="flex items-center p-4 border-b border-gray-100 last:border-b-0">
+                            <Link to={`/profile/${request.requester?._id}`} className="flex items-center flex-1 min-w-0">
+                                <img
+                                    src={request.requester?.profilePicture || 'https://via.placeholder.com/44'}
+                                    alt={request.requester?.username}
+                                    className="w-11 h-11 rounded-full object-cover"
+                                />
+                                <div className="ml-3 min-w-0">
+                                    <p className="text-sm font-semibold truncate">{request.requester?.username}</p>
+                                    {request.requester?.bio && (
+                                        <p className="text-xs text-gray-500 truncate">{request.requester.bio}</p>
+                                    )}
+                                </div>
+                            </Link>
+                            <div className="flex gap-2 ml-3">
+                                <button onClick={() => handleRespond(request._id, true)} className="btn-primary text-xs">
+                                    Confirm
+                                </button>
+                                <button onClick={() => handleRespond(request._id, false)} className="btn-secondary text-xs">
+                                    Delete
+                                </button>
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FollowRequests;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../lib/api';
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setMessage('');
+        setLoading(true);
+
+        try {
+            const response = await api.post('/auth/forgot-password', { email });
+            setMessage(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+            <div className="max-w-md w-full">
+                <div className="bg-white border border-gray-200 rounded-lg p-8 mb-4">
+                    <h1 className="text-xl font-semibold text-center mb-2">
+                        Trouble logging in?
+                    </h1>
+                    <p className="text-sm text-gray-500 text-center mb-6">
+                        Enter your email and we'll send you a link to get back into your account.
+                    </p>
+
+                    {/* Error Message */}
+                    {error && (
+                        <div className="bg-red-50 text-red-500 p-3 rounded-lg mb-4 text-sm text-center">
+                            {error}
+                        </div>
+                    )}
+
+                    {/* Success Message */}
+                    {message && (
+                        <div className="bg-green-50 text-green-600 p-3 rounded-lg mb-4 text-sm text-center">
+                            {message}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <input
+                            type="email"
+                            placeholder="Email"
+                            value={email}
+                            onChange={(e) => setEmail(e.target.value)}
+                            className="input-field"
+                            required
+                        />
+                        <button
+                            type="submit"
+                            disabled={loading || !email}
+                            className="btn-primary w-full py-2"
+                        >
+                            {loading ? 'Sending...' : 'Send Login Link'}
+                        </button>
+                    </form>
+                </div>
+
+                <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+                    <Link to="/login" className="text-sm font-semibold">
+                        Back to Login
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
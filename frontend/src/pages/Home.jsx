@@ -1,29 +1,37 @@
-import React, { useState, useEffect } from 'react';
-import api from '../lib/api';
+import React, { useState } from 'react';
 import PostCard from '../components/PostCard.jsx';
+import StoryTray from '../components/StoryTray.jsx';
+import SuggestedUsers from '../components/SuggestedUsers.jsx';
+import { useRealtimeEvent } from '../hooks/useRealtime';
+import { useInfiniteList } from '../hooks/useInfiniteList';
+import { useSeenPosts } from '../hooks/useSeenPosts';
 import { useAuth } from '../context/AuthContext';
 
+const FEED_MODES = [
+    { key: 'following', label: 'Following' },
+    { key: 'for_you', label: 'For You' }
+];
+
 const Home = () => {
-    const [posts, setPosts] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState('');
+    const [mode, setMode] = useState('following');
+    const {
+        items: posts,
+        setItems: setPosts,
+        loading,
+        loadingMore,
+        error,
+        reload,
+        sentinelRef
+    } = useInfiniteList('/feed', { mode });
+    const feedRef = useSeenPosts(mode === 'for_you', posts);
+    const [newPostsAvailable, setNewPostsAvailable] = useState(false);
     const { user } = useAuth();
 
-    useEffect(() => {
-        fetchFeed();
-    }, []);
+    useRealtimeEvent('feed:new-post', () => setNewPostsAvailable(true));
 
-    const fetchFeed = async () => {
-        try {
-            setLoading(true);
-            const response = await api.get('/feed');
-            setPosts(response.data.posts || []);
-        } catch (err) {
-            setError('Failed to load feed. Please try again.');
-            console.error('Error fetching feed:', err);
-        } finally {
-            setLoading(false);
-        }
+    const fetchFeed = () => {
+        setNewPostsAvailable(false);
+        reload();
     };
 
     const handlePostUpdate = (updatedPost) => {
@@ -41,7 +49,7 @@ const Home = () => {
     if (error) {
         return (
             <div className="flex flex-col justify-center items-center min-h-screen">
-                <p className="text-red-500 mb-4">{error}</p>
+                <p className="text-red-500 mb-4">Failed to load feed. Please try again.</p>
                 <button onClick={fetchFeed} className="btn-primary">
                     Try Again
                 </button>
@@ -51,34 +59,87 @@ const Home = () => {
 
     return (
         <div className="max-w-lg mx-auto">
+            {/* New Posts Hint */}
+            {newPostsAvailable && (
+                <div className="sticky top-20 z-40 flex justify-center mb-4">
+                    <button
+                        onClick={() => {
+                            window.scrollTo({ top: 0, behavior: 'smooth' });
+                            fetchFeed();
+                        }}
+                        className="bg-blue-500 text-white text-sm font-semibold px-4 py-2 rounded-full shadow-lg hover:bg-blue-600"
+                    >
+                        ↑ New posts
+                    </button>
+                </div>
+            )}
+
+            {/* Stories */}
+            <StoryTray />
+
             {/* Welcome message */}
             <div className="mb-6">
                 <h1 className="text-xl font-semibold">Welcome, {user?.username}!</h1>
                 <p className="text-gray-500 text-sm">See what your friends are sharing</p>
             </div>
 
+            {/* Feed Mode */}
+            <div className="flex border-b border-gray-200 mb-6">
+                {FEED_MODES.map(option => (
+                    <button
+                        key={option.key}
+                        onClick={() => setMode(option.key)}
+                        className={`flex-1 py-2 text-sm font-semibold ${
+                            mode === option.key ? 'border-b-2 border-gray-900 text-gray-900' : 'text-gray-400'
+                        }`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
             {/* Posts Feed */}
-            {posts.length === 0 ? (
+            {posts.length === 0 && mode === 'for_you' ? (
                 <div className="bg-white border border-gray-200 rounded-lg p-8 text-center">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mx-auto text-gray-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                    </svg>
-                    <h2 className="text-xl font-semibold mb-2">No Posts Yet</h2>
+                    <h2 className="text-xl font-semibold mb-2">You're All Caught Up</h2>
                     <p className="text-gray-500 mb-4">
-                        Follow some users to see their posts in your feed, or create your first post!
+                        You've seen the recent posts picked for you. Check back later for more.
                     </p>
-                    <a href="/create" className="btn-primary inline-block">
-                        Create Post
-                    </a>
+                    <button onClick={() => setMode('following')} className="btn-primary">
+                        See Following
+                    </button>
                 </div>
+            ) : posts.length === 0 ? (
+                <>
+                    <SuggestedUsers gridClassName="space-y-2" />
+                    <div className="bg-white border border-gray-200 rounded-lg p-8 text-center">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mx-auto text-gray-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                        </svg>
+                        <h2 className="text-xl font-semibold mb-2">No Posts Yet</h2>
+                        <p className="text-gray-500 mb-4">
+                            Follow some users to see their posts in your feed, or create your first post!
+                        </p>
+                        <a href="/create" className="btn-primary inline-block">
+                            Create Post
+                        </a>
+                    </div>
+                </>
             ) : (
-                posts.map(post => (
-                    <PostCard 
-                        key={post._id} 
-                        post={post} 
-                        onUpdate={handlePostUpdate}
-                    />
-                ))
+                <div ref={feedRef}>
+                    {posts.map(post => (
+                        <div key={post._id} data-post-id={post._id}>
+                            <PostCard
+                                post={post}
+                                onUpdate={handlePostUpdate}
+                            />
+                        </div>
+                    ))}
+                </div>
+            )}
+            <div ref={sentinelRef} />
+            {loadingMore && (
+                <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
             )}
         </div>
     );
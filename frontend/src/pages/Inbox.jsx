@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { getConversationTitle, getConversationAvatar } from '../lib/conversations';
+
+const Inbox = () => {
+    const { user } = useAuth();
+    const navigate = useNavigate();
+    const [conversations, setConversations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [composing, setComposing] = useState(false);
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [selected, setSelected] = useState([]);
+    const [groupName, setGroupName] = useState('');
+    const [creating, setCreating] = useState(false);
+
+    useEffect(() => {
+        fetchConversations();
+    }, []);
+
+    useEffect(() => {
+        if (!query.trim()) {
+            setResults([]);
+            return undefined;
+        }
+        const timer = setTimeout(async () => {
+            try {
+                const response = await api.get('/users/search', { params: { q: query.trim() } });
+                setResults((response.data.users || []).filter(u => u._id !== user?.id));
+            } catch (err) {
+                console.error('Error searching users:', err);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [query, user?.id]);
+
+    const fetchConversations = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/conversations');
+            setConversations(response.data.conversations || []);
+        } catch (err) {
+            setError('Failed to load messages. Please try again.');
+            console.error('Error fetching conversations:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const toggleSelected = (person) => {
+        if (selected.some(s => s._id === person._id)) {
+            setSelected(selected.filter(s => s._id !== person._id));
+        } else {
+            setSelected([...selected, person]);
+        }
+    };
+
+    const handleCreate = async () => {
+        if (selected.length === 0) return;
+        setCreating(true);
+        try {
+            const response = await api.post('/conversations', {
+                participantIds: selected.map(s => s._id),
+                name: selected.length > 1 ? groupName.trim() : undefined
+            });
+            navigate(`/direct/${response.data.conversation._id}`);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to start conversation');
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        const date = new Date(dateString);
+        const diffDays = Math.floor((new Date() - date) / (1000 * 60 * 60 * 24));
+        if (diffDays === 0) {
+            return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        } else if (diffDays < 7) {
+            return `${diffDays}d`;
+        }
+        return date.toLocaleDateString();
+    };
+
+    const previewText = (conversation) => {
+        const message = conversation.lastMessage;
+        if (!message) return 'No messages yet';
+        const prefix = message.sender?._id === user?.id ? 'You: ' : '';
+        return `${prefix}${message.text || 'Shared a post'}`;
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center min-h-screen">
+                <div className="text-gray-500">Loading messages...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-2xl mx-auto">
+            <div className="bg-white border border-gray-200 rounded-lg">
+                {/* Header */}
+                <div className="flex items-center justify-between border-b border-gray-200 p-4">
+                    <h1 className="text-xl font-semibold">Messages</h1>
+                    <button
+                        onClick={() => setComposing(!composing)}
+                        className="text-blue-500 font-semibold text-sm"
+                    >
+                        {composing ? 'Cancel' : 'New message'}
+                    </button>
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 text-red-500 p-3 m-4 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {/* New Message */}
+                {composing && (
+                    <div className="border-b border-gray-200 p-4 space-y-3">
+                        {selected.length > 0 && (
+                            <div className="flex flex-wrap gap-2">
+                                {selected.map(person => (
+                                    <button
+                                        key={person._id}
+                                        onClick={() => toggleSelected(person)}
+                                        className="bg-blue-50 text-blue-600 text-xs font-semibold px-2 py-1 rounded"
+                                    >
+                                        {person.username} ×
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+                        <input
+                            type="text"
+                            placeholder="Search people..."
+                            value={query}
+                            onChange={(e) => setQuery(e.target.value)}
+                            className="input-field"
+                        />
+                        {results.map(person => (
+                            <button
+                                key={person._id}
+                                onClick={() => toggleSelected(person)}
+                                className="flex items-center w-full p-2 hover:bg-gray-50 rounded"
+                            >
+                                <img
+                                    src={person.profilePicture || 'https://via.placeholder.com/32'}
+                                    alt={person.username}
+                                    className="w-8 h-8 rounded-full object-cover"
+                                />
+                                <span className="ml-3 text-sm font-semibold flex-1 text-left">{person.username}</span>
+                                {selected.some(s => s._id === person._id) && (
+                                    <span className="text-blue-500 text-sm">✓</span>
+                                )}
+                            </button>
+                        ))}
+                        {selected.length > 1 && (
+                            <input
+                                type="text"
+                                placeholder="Group name (optional)"
+                                value={groupName}
+                                onChange={(e) => setGroupName(e.target.value)}
+                                className="input-field"
+                                maxLength={100}
+                            />
+                        )}
+                        <button
+                            onClick={handleCreate}
+                            disabled={selected.length === 0 || creating}
+                            className="btn-primary w-full"
+                        >
+                            {creating ? 'Starting...' : 'Chat'}
+                        </button>
+                    </div>
+                )}
+
+                {/* Conversations */}
+                {conversations.length === 0 ? (
+                    <p className="text-gray-400 text-sm text-center py-16">
+                        No messages yet. Start a conversation!
+                    </p>
+                ) : (
+                    conversations.map(conversation => (
+                        <Link
+                            key={conversation._id}
+                            to={`/direct/${conversation._id}`}
+                            className="flex items-center p-4 hover:bg-gray-50 border-b border-gray-100 last:border-b-0"
+                        >
+                            <img
+                                src={getConversationAvatar(conversation, user?.id)}
+                                alt={getConversationTitle(conversation, user?.id)}
+                                className="w-14 h-14 rounded-full object-cover"
+                            />
+                            <div className="ml-4 flex-1 min-w-0">
+                                <p className={`text-sm truncate ${conversation.unreadCount > 0 ? 'font-bold' : 'font-semibold'}`}>
+                                    {getConversationTitle(conversation, user?.id)}
+                                </p>
+                                <p className={`text-sm truncate ${conversation.unreadCount > 0 ? 'text-gray-900' : 'text-gray-500'}`}>
+                                    {previewText(conversation)} · {formatDate(conversation.lastMessageAt)}
+                                </p>
+                            </div>
+                            {conversation.unreadCount > 0 && (
+                                <span className="w-2.5 h-2.5 bg-blue-500 rounded-full ml-2" />
+                            )}
+                        </Link>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Inbox;
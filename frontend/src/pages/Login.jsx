@@ -7,7 +7,9 @@ const Login = () => {
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
-    const { login } = useAuth();
+    const [challengeToken, setChallengeToken] = useState(null);
+    const [code, setCode] = useState('');
+    const { login, completeTwoFactorLogin } = useAuth();
     const navigate = useNavigate();
 
     const handleSubmit = async (e) => {
@@ -16,8 +18,12 @@ const Login = () => {
         setLoading(true);
 
         try {
-            await login(email, password);
-            navigate('/');
+            const data = await login(email, password);
+            if (data.twoFactorRequired) {
+                setChallengeToken(data.challengeToken);
+            } else {
+                navigate('/');
+            }
         } catch (err) {
             setError(err.response?.data?.message || 'Login failed. Please try again.');
         } finally {
@@ -25,6 +31,27 @@ const Login = () => {
         }
     };
 
+    const handleTwoFactorSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setLoading(true);
+
+        try {
+            await completeTwoFactorLogin(challengeToken, code);
+            navigate('/');
+        } catch (err) {
+            // An expired or locked out challenge means starting over from the password step
+            if (err.response?.status === 429
+                || (err.response?.status === 401 && err.response?.data?.message?.startsWith('Login expired'))) {
+                setChallengeToken(null);
+                setCode('');
+            }
+            setError(err.response?.data?.message || 'Verification failed. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     return (
         <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
             <div className="max-w-md w-full">
@@ -42,36 +69,82 @@ const Login = () => {
                         </div>
                     )}
 
-                    {/* Login Form */}
-                    <form onSubmit={handleSubmit} className="space-y-4">
-                        <div>
-                            <input
-                                type="email"
-                                placeholder="Email"
-                                value={email}
-                                onChange={(e) => setEmail(e.target.value)}
-                                className="input-field"
-                                required
-                            />
-                        </div>
-                        <div>
+                    {challengeToken ? (
+                        /* Two-Factor Step */
+                        <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+                            <p className="text-sm text-gray-600 text-center">
+                                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                            </p>
                             <input
-                                type="password"
-                                placeholder="Password"
-                                value={password}
-                                onChange={(e) => setPassword(e.target.value)}
-                                className="input-field"
+                                type="text"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                placeholder="Security code"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                className="input-field text-center tracking-widest"
+                                autoFocus
                                 required
                             />
-                        </div>
-                        <button
-                            type="submit"
-                            disabled={loading || !email || !password}
-                            className="btn-primary w-full py-2"
-                        >
-                            {loading ? 'Logging in...' : 'Log In'}
-                        </button>
-                    </form>
+                            <button
+                                type="submit"
+                                disabled={loading || !code.trim()}
+                                className="btn-primary w-full py-2"
+                            >
+                                {loading ? 'Confirming...' : 'Confirm'}
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    setChallengeToken(null);
+                                    setCode('');
+                                    setError('');
+                                }}
+                                className="text-sm text-gray-500 w-full"
+                            >
+                                Back to login
+                            </button>
+                        </form>
+                    ) : (
+                        <>
+                            {/* Login Form */}
+                            <form onSubmit={handleSubmit} className="space-y-4">
+                                <div>
+                                    <input
+                                        type="email"
+                                        placeholder="Email"
+                                        value={email}
+                                        onChange={(e) => setEmail(e.target.value)}
+                                        className="input-field"
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <input
+                                        type="password"
+                                        placeholder="Password"
+                                        value={password}
+                                        onChange={(e) => setPassword(e.target.value)}
+                                        className="input-field"
+                                        required
+                                    />
+                                </div>
+                                <button
+                                    type="submit"
+                                    disabled={loading || !email || !password}
+                                    className="btn-primary w-full py-2"
+                                >
+                                    {loading ? 'Logging in...' : 'Log In'}
+                                </button>
+                            </form>
+
+                            <div className="text-center mt-4">
+                                <Link to="/forgot-password" className="text-xs text-blue-900">
+                                    Forgot password?
+                                </Link>
+                            </div>
+                        </>
+                    )}
 
                     {/* Divider */}
                     <div className="flex items-center my-6">
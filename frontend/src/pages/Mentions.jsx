@@ -0,0 +1,95 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import RichText from '../components/RichText.jsx';
+import { useInfiniteList } from '../hooks/useInfiniteList';
+
+// Posts and comments share one list, so ids alone could collide
+const mentionKey = (mention) => `${mention.type}:${mention._id}`;
+
+const Mentions = () => {
+    const {
+        items: mentions,
+        loading,
+        loadingMore,
+        error,
+        reload,
+        sentinelRef
+    } = useInfiniteList('/mentions', {}, { getKey: mentionKey });
+
+    const formatDate = (dateString) => {
+        const diffTime = Math.abs(new Date() - new Date(dateString));
+        const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+        if (diffDays === 0) {
+            const diffHours = Math.floor(diffTime / (1000 * 60 * 60));
+            if (diffHours === 0) {
+                return `${Math.floor(diffTime / (1000 * 60))}m`;
+            }
+            return `${diffHours}h`;
+        } else if (diffDays < 7) {
+            return `${diffDays}d`;
+        }
+        return `${Math.floor(diffDays / 7)}w`;
+    };
+
+    if (error) {
+        return (
+            <div className="flex flex-col justify-center items-center min-h-screen">
+                <p className="text-red-500 mb-4">Failed to load mentions. Please try again.</p>
+                <button onClick={reload} className="btn-primary">
+                    Try Again
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-2xl mx-auto">
+            <div className="bg-white border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between border-b border-gray-200 p-4">
+                    <h1 className="text-xl font-semibold">Mentions</h1>
+                    <Link to="/activity" className="text-sm text-blue-500 font-semibold">
+                        Activity
+                    </Link>
+                </div>
+
+                {!loading && mentions.length === 0 ? (
+                    <p className="text-gray-400 text-sm text-center py-16">
+                        When someone @mentions you in a post or comment, you'll see it here.
+                    </p>
+                ) : (
+                    mentions.map(mention => (
+                        <div key={mentionKey(mention)} className="flex items-center p-4 border-b border-gray-100 last:border-b-0">
+                            <Link to={`/profile/${mention.user?._id}`} className="flex-shrink-0">
+                                <img
+                                    src={mention.user?.profilePicture || 'https://via.placeholder.com/44'}
+                                    alt={mention.user?.username}
+                                    className="w-11 h-11 rounded-full object-cover"
+                                />
+                            </Link>
+                            <p className="ml-3 flex-1 text-sm">
+                                <span className="font-semibold">{mention.user?.username}</span>{' '}
+                                mentioned you in a {mention.type}:{' '}
+                                <RichText text={mention.text} mentions={mention.mentions} />
+                                <span className="text-gray-400 ml-1">{formatDate(mention.createdAt)}</span>
+                            </p>
+                            <Link to={`/post/${mention.post._id}`} className="ml-3 flex-shrink-0">
+                                <img
+                                    src={mention.post.media?.[0]?.thumbnailUrl || mention.post.imageUrl}
+                                    alt="Post"
+                                    className="w-11 h-11 object-cover"
+                                />
+                            </Link>
+                        </div>
+                    ))
+                )}
+
+                <div ref={sentinelRef} />
+                {(loading || loadingMore) && (
+                    <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Mentions;
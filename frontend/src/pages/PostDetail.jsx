@@ -1,20 +1,68 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import api from '../lib/api';
 import { useAuth } from '../context/AuthContext';
+import MediaCarousel from '../components/MediaCarousel.jsx';
+import SharePostModal from '../components/SharePostModal.jsx';
+import SavePostButton from '../components/SavePostButton.jsx';
+import EditPostForm from '../components/EditPostForm.jsx';
+import Comment from '../components/Comment.jsx';
+import RichText from '../components/RichText.jsx';
+import { useLivePost } from '../hooks/useRealtime';
+import { useInfiniteList } from '../hooks/useInfiniteList';
 
 const PostDetail = () => {
     const { postId } = useParams();
     const navigate = useNavigate();
     const { user } = useAuth();
     const [post, setPost] = useState(null);
-    const [comments, setComments] = useState([]);
     const [newComment, setNewComment] = useState('');
     const [liked, setLiked] = useState(false);
     const [likeCount, setLikeCount] = useState(0);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [commentLoading, setCommentLoading] = useState(false);
+    const [sharing, setSharing] = useState(false);
+    // Replies posted from this page, by the comment they answer
+    const [postedReplies, setPostedReplies] = useState({});
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [commentSort, setCommentSort] = useState('newest');
+    // The post's latest comment count, and how many of those the loaded list accounts for
+    const [commentCount, setCommentCount] = useState(0);
+    const [shownCommentCount, setShownCommentCount] = useState(0);
+    const [editing, setEditing] = useState(false);
+    const [history, setHistory] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const commentInputRef = useRef(null);
+    const {
+        items: comments,
+        setItems: setComments,
+        loading: commentsLoading,
+        loadingMore: commentsLoadingMore,
+        reload: reloadComments,
+        sentinelRef: commentsSentinelRef
+    } = useInfiniteList(`/posts/${postId}/comments`, { sort: commentSort });
+
+    useLivePost(postId, (update) => {
+        if (update.likeCount !== undefined) setLikeCount(update.likeCount);
+        if (update.commentCount !== undefined) setCommentCount(update.commentCount);
+    });
+
+    // Reloading would throw away the pages already read, so other people's comments wait for
+    // the reader to ask for them. Our own comment's update can beat its response, hence the
+    // check on commentLoading.
+    const newCommentsAvailable = commentCount > shownCommentCount && !commentLoading;
+
+    const showNewComments = () => {
+        setShownCommentCount(commentCount);
+        reloadComments();
+    };
+
+    const changeCommentSort = (sort) => {
+        if (sort === commentSort) return;
+        setShownCommentCount(commentCount);
+        setCommentSort(sort);
+    };
 
     useEffect(() => {
         fetchPostData();
@@ -23,16 +71,13 @@ const PostDetail = () => {
     const fetchPostData = async () => {
         try {
             setLoading(true);
-            const [postRes, commentsRes] = await Promise.all([
-                api.get(`/posts/${postId}`),
-                api.get(`/posts/${postId}/comments`)
-            ]);
-
-            const postData = postRes.data.post;
+            const response = await api.get(`/posts/${postId}`);
+            const postData = response.data.post;
             setPost(postData);
-            setComments(commentsRes.data.comments || []);
-            setLiked(postData.likes?.includes(user?.id));
-            setLikeCount(postData.likes?.length || 0);
+            setCommentCount(postData.commentCount || 0);
+            setShownCommentCount(postData.commentCount || 0);
+            setLiked(!!postData.isLiked);
+            setLikeCount(postData.likeCount || 0);
         } catch (err) {
             setError('Failed to load post. Please try again.');
             console.error('Error fetching post:', err);
@@ -62,9 +107,19 @@ const PostDetail = () => {
 
         setCommentLoading(true);
         try {
-            const response = await api.post(`/posts/${postId}/comments`, { text: newComment });
-            setComments([...comments, response.data.comment]);
+            const response = await api.post(`/posts/${postId}/comments`, {
+                text: newComment,
+                parentId: replyingTo?.parentId
+            });
+            const created = response.data.comment;
+            setShownCommentCount(prev => prev + 1);
+            if (created.parent) {
+                addReply(created);
+            } else {
+                setComments([...comments, created]);
+            }
             setNewComment('');
+            setReplyingTo(null);
         } catch (err) {
             console.error('Error adding comment:', err);
         } finally {
@@ -72,6 +127,48 @@ const PostDetail = () => {
         }
     };
 
+    // Replies to a reply go into the same thread, addressed to the person being answered
+    const handleReply = (comment) => {
+        setReplyingTo({ parentId: comment.parent || comment._id, username: comment.user?.username });
+        setNewComment(`@${comment.user?.username} `);
+        commentInputRef.current?.focus();
+    };
+
+    const cancelReply = () => {
+        setReplyingTo(null);
+        setNewComment('');
+    };
+
+    const addReply = (reply) => {
+        setComments(prev => prev.map(c => (
+            c._id === reply.parent ? { ...c, replyCount: (c.replyCount || 0) + 1 } : c
+        )));
+        setPostedReplies(prev => ({ ...prev, [reply.parent]: [...(prev[reply.parent] || []), reply] }));
+    };
+
+    const handlePostEdited = (updated) => {
+        setPost(updated);
+        setEditing(false);
+        // Fetched again next time it's opened
+        setHistory(null);
+        setShowHistory(false);
+    };
+
+    const toggleHistory = async () => {
+        if (showHistory) {
+            setShowHistory(false);
+            return;
+        }
+        setShowHistory(true);
+        if (history) return;
+        try {
+            const response = await api.get(`/posts/${postId}/history`);
+            setHistory(response.data.history || []);
+        } catch (err) {
+            console.error('Error fetching edit history:', err);
+        }
+    };
+
     const handleDeletePost = async () => {
         if (!window.confirm('Are you sure you want to delete this post?')) return;
 
@@ -83,12 +180,53 @@ const PostDetail = () => {
         }
     };
 
-    const handleDeleteComment = async (commentId) => {
+    // Replies the Comment thread loaded itself are updated there
+    const updateComment = (comment, changes) => {
+        const apply = c => (c._id === comment._id ? { ...c, ...changes } : c);
+        if (comment.parent) {
+            setPostedReplies(prev => ({ ...prev, [comment.parent]: (prev[comment.parent] || []).map(apply) }));
+        } else {
+            setComments(prev => prev.map(apply));
+        }
+    };
+
+    const handleLikeComment = async (comment) => {
         try {
-            await api.delete(`/comments/${commentId}`);
-            setComments(comments.filter(c => c._id !== commentId));
+            const response = comment.isLiked
+                ? await api.delete(`/comments/${comment._id}/like`)
+                : await api.post(`/comments/${comment._id}/like`);
+            const changes = { isLiked: !comment.isLiked, likeCount: response.data.likeCount };
+            updateComment(comment, changes);
+            return changes;
+        } catch (err) {
+            console.error('Error liking comment:', err);
+            return null;
+        }
+    };
+
+    const handleDeleteComment = async (comment) => {
+        try {
+            const response = await api.delete(`/comments/${comment._id}`);
+            setCommentCount(prev => prev - 1);
+            setShownCommentCount(prev => prev - 1);
+            if (comment.parent) {
+                setPostedReplies(prev => ({
+                    ...prev,
+                    [comment.parent]: (prev[comment.parent] || []).filter(r => r._id !== comment._id)
+                }));
+                // Mirrors the server: a deleted parent disappears with its last reply
+                setComments(prev => prev
+                    .map(c => (c._id === comment.parent ? { ...c, replyCount: c.replyCount - 1 } : c))
+                    .filter(c => !(c._id === comment.parent && c.deleted && c.replyCount <= 0)));
+            } else if (response.data.placeholder) {
+                setComments(comments.map(c => (c._id === comment._id ? { ...c, deleted: true, text: '' } : c)));
+            } else {
+                setComments(comments.filter(c => c._id !== comment._id));
+            }
+            return true;
         } catch (err) {
             console.error('Error deleting comment:', err);
+            return false;
         }
     };
 
@@ -121,6 +259,7 @@ const PostDetail = () => {
     }
 
     const isOwner = user?.id === post.user?._id;
+    const canDeleteComment = (comment) => user?.id === comment.user?._id || isOwner;
 
     return (
         <div className="max-w-5xl mx-auto">
@@ -128,10 +267,10 @@ const PostDetail = () => {
                 <div className="flex flex-col lg:flex-row">
                     {/* Image Section */}
                     <div className="lg:w-3/5 bg-black flex items-center justify-center">
-                        <img
-                            src={post.imageUrl}
-                            alt="Post"
-                            className="w-full max-h-[600px] object-contain"
+                        <MediaCarousel
+                            media={post.media}
+                            className="w-full"
+                            imageClassName="w-full max-h-[600px] object-contain"
                         />
                     </div>
 
@@ -150,15 +289,31 @@ const PostDetail = () => {
                                 </span>
                             </Link>
                             {isOwner && (
-                                <button
-                                    onClick={handleDeletePost}
-                                    className="text-red-500 text-sm font-semibold hover:text-red-600"
-                                >
-                                    Delete
-                                </button>
+                                <div className="flex items-center gap-4">
+                                    <button
+                                        onClick={() => setEditing(!editing)}
+                                        className="text-sm font-semibold hover:text-gray-600"
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={handleDeletePost}
+                                        className="text-red-500 text-sm font-semibold hover:text-red-600"
+                                    >
+                                        Delete
+                                    </button>
+                                </div>
                             )}
                         </div>
 
+                        {editing && (
+                            <EditPostForm
+                                post={post}
+                                onSaved={handlePostEdited}
+                                onCancel={() => setEditing(false)}
+                            />
+                        )}
+
                         {/* Comments Section */}
                         <div className="flex-1 overflow-y-auto p-4 max-h-80 lg:max-h-96">
                             {/* Caption */}
@@ -176,7 +331,7 @@ const PostDetail = () => {
                                             <Link to={`/profile/${post.user?._id}`} className="font-semibold mr-2 hover:underline">
                                                 {post.user?.username}
                                             </Link>
-                                            {post.caption}
+                                            <RichText text={post.caption} mentions={post.mentions} />
                                         </p>
                                         <p className="text-xs text-gray-400 mt-1">
                                             {formatDate(post.createdAt)}
@@ -186,44 +341,53 @@ const PostDetail = () => {
                             )}
 
                             {/* Comments */}
-                            {comments.length === 0 ? (
+                            {newCommentsAvailable && (
+                                <div className="flex justify-center mb-3">
+                                    <button
+                                        onClick={showNewComments}
+                                        className="bg-blue-500 text-white text-xs font-semibold px-3 py-1 rounded-full shadow hover:bg-blue-600"
+                                    >
+                                        ↑ New comments
+                                    </button>
+                                </div>
+                            )}
+                            {comments.length > 1 && (
+                                <div className="flex justify-end gap-3 mb-2 text-xs">
+                                    {['newest', 'top'].map(option => (
+                                        <button
+                                            key={option}
+                                            onClick={() => changeCommentSort(option)}
+                                            className={commentSort === option ? 'font-semibold text-gray-900' : 'text-gray-400 hover:text-gray-600'}
+                                        >
+                                            {option === 'top' ? 'Top' : 'Newest'}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                            {commentsLoading ? (
+                                <p className="text-gray-400 text-sm text-center py-8">Loading comments...</p>
+                            ) : comments.length === 0 ? (
                                 <p className="text-gray-400 text-sm text-center py-8">
-                                    No comments yet. Be the first to comment!
+                                    {post.commentsDisabled ? 'No comments.' : 'No comments yet. Be the first to comment!'}
                                 </p>
                             ) : (
                                 comments.map(comment => (
-                                    <div key={comment._id} className="flex mb-4 group">
-                                        <Link to={`/profile/${comment.user?._id}`}>
-                                            <img
-                                                src={comment.user?.profilePicture || 'https://via.placeholder.com/32'}
-                                                alt={comment.user?.username}
-                                                className="w-8 h-8 rounded-full object-cover flex-shrink-0"
-                                            />
-                                        </Link>
-                                        <div className="ml-3 flex-1">
-                                            <p className="text-sm">
-                                                <Link to={`/profile/${comment.user?._id}`} className="font-semibold mr-2 hover:underline">
-                                                    {comment.user?.username}
-                                                </Link>
-                                                {comment.text}
-                                            </p>
-                                            <div className="flex items-center gap-3 mt-1">
-                                                <p className="text-xs text-gray-400">
-                                                    {formatDate(comment.createdAt)}
-                                                </p>
-                                                {(user?.id === comment.user?._id || isOwner) && (
-                                                    <button
-                                                        onClick={() => handleDeleteComment(comment._id)}
-                                                        className="text-xs text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
-                                                    >
-                                                        Delete
-                                                    </button>
-                                                )}
-                                            </div>
-                                        </div>
-                                    </div>
+                                    <Comment
+                                        key={comment._id}
+                                        comment={comment}
+                                        canDelete={canDeleteComment(comment)}
+                                        canDeleteReply={canDeleteComment}
+                                        onDelete={handleDeleteComment}
+                                        onReply={post.commentsDisabled ? undefined : handleReply}
+                                        onLike={handleLikeComment}
+                                        postedReplies={postedReplies[comment._id]}
+                                    />
                                 ))
                             )}
+                            <div ref={commentsSentinelRef} />
+                            {commentsLoadingMore && (
+                                <p className="text-gray-400 text-xs text-center py-2">Loading...</p>
+                            )}
                         </div>
 
                         {/* Actions */}
@@ -241,6 +405,18 @@ const PostDetail = () => {
                                         </svg>
                                     )}
                                 </button>
+
+                                {/* Share Button */}
+                                <button onClick={() => setSharing(true)} className="focus:outline-none" title="Share">
+                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7 text-gray-700 hover:text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19l9 2-9-18-9 18 9-2zm0 0v-8" />
+                                    </svg>
+                                </button>
+
+                                {/* Save Button */}
+                                <div className="flex-1 flex justify-end">
+                                    <SavePostButton key={post._id} post={post} />
+                                </div>
                             </div>
 
                             {/* Like Count */}
@@ -249,32 +425,80 @@ const PostDetail = () => {
                             {/* Timestamp */}
                             <p className="text-xs text-gray-400 uppercase">
                                 {formatDate(post.createdAt)}
+                                {post.editedAt && (
+                                    <button
+                                        onClick={toggleHistory}
+                                        className="ml-2 normal-case hover:text-gray-600"
+                                        title="See edit history"
+                                    >
+                                        · Edited
+                                    </button>
+                                )}
                             </p>
+
+                            {/* Edit History */}
+                            {showHistory && (
+                                <div className="mt-3 text-sm space-y-2">
+                                    {!history ? (
+                                        <p className="text-gray-400 text-xs">Loading...</p>
+                                    ) : history.length === 0 ? (
+                                        <p className="text-gray-400 text-xs">Only the alt text has been edited.</p>
+                                    ) : (
+                                        [...history].reverse().map((version, index) => (
+                                            <div key={index} className="border-l-2 border-gray-200 pl-3">
+                                                <p className="text-xs text-gray-400">{formatDate(version.writtenAt)}</p>
+                                                <p className="text-gray-700 whitespace-pre-wrap">
+                                                    {version.caption || <span className="italic text-gray-400">No caption</span>}
+                                                </p>
+                                            </div>
+                                        ))
+                                    )}
+                                </div>
+                            )}
                         </div>
 
                         {/* Add Comment */}
-                        <div className="border-t border-gray-200 p-4">
-                            <form onSubmit={handleComment} className="flex items-center">
-                                <input
-                                    type="text"
-                                    placeholder="Add a comment..."
-                                    value={newComment}
-                                    onChange={(e) => setNewComment(e.target.value)}
-                                    className="flex-1 text-sm focus:outline-none bg-transparent"
-                                />
-                                <button
-                                    type="submit"
-                                    disabled={!newComment.trim() || commentLoading}
-                                    className="text-blue-500 font-semibold text-sm disabled:opacity-50 disabled:cursor-not-allowed"
-                                >
-                                    {commentLoading ? 'Posting...' : 'Post'}
-                                </button>
-                            </form>
-                        </div>
+                        {post.commentsDisabled ? (
+                            <p className="border-t border-gray-200 p-4 text-sm text-gray-500">
+                                Comments are turned off for this post.
+                            </p>
+                        ) : (
+                            <div className="border-t border-gray-200 p-4">
+                                {replyingTo && (
+                                    <div className="flex items-center justify-between text-xs text-gray-500 mb-2">
+                                        <span>Replying to {replyingTo.username}</span>
+                                        <button onClick={cancelReply} className="hover:text-gray-700" aria-label="Cancel reply">
+                                            ×
+                                        </button>
+                                    </div>
+                                )}
+                                <form onSubmit={handleComment} className="flex items-center">
+                                    <input
+                                        ref={commentInputRef}
+                                        type="text"
+                                        placeholder="Add a comment..."
+                                        value={newComment}
+                                        onChange={(e) => setNewComment(e.target.value)}
+                                        className="flex-1 text-sm focus:outline-none bg-transparent"
+                                    />
+                                    <button
+                                        type="submit"
+                                        disabled={!newComment.trim() || commentLoading}
+                                        className="text-blue-500 font-semibold text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {commentLoading ? 'Posting...' : 'Post'}
+                                    </button>
+                                </form>
+                            </div>
+                        )}
                     </div>
                 </div>
             </div>
 
+            {sharing && (
+                <SharePostModal postId={post._id} onClose={() => setSharing(false)} />
+            )}
+
             {/* Back Button */}
             <div className="mt-6 text-center">
                 <button
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../lib/api';
+
+const SECTIONS = [
+    {
+        key: 'blocked',
+        title: 'Blocked accounts',
+        empty: "You haven't blocked anyone.",
+        undo: 'Unblock',
+        endpoint: (id) => `/users/${id}/block`
+    },
+    {
+        key: 'muted',
+        title: 'Muted accounts',
+        empty: "You haven't muted anyone.",
+        undo: 'Unmute',
+        endpoint: (id) => `/users/${id}/mute`
+    }
+];
+
+const PrivacySettings = () => {
+    const [lists, setLists] = useState({ blocked: [], muted: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        fetchLists();
+    }, []);
+
+    const fetchLists = async () => {
+        try {
+            setLoading(true);
+            const [blockedRes, mutedRes] = await Promise.all([
+                api.get('/users/blocked'),
+                api.get('/users/muted')
+            ]);
+            setLists({
+                blocked: blockedRes.data.users || [],
+                muted: mutedRes.data.users || []
+            });
+        } catch (err) {
+            setError('Failed to load your settings.');
+            console.error('Error fetching blocked/muted accounts:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleUndo = async (section, person) => {
+        try {
+            await api.delete(section.endpoint(person._id));
+            setLists(prev => ({
+                ...prev,
+                [section.key]: prev[section.key].filter(p => p._id !== person._id)
+            }));
+        } catch (err) {
+            console.error(`Error updating ${section.key} accounts:`, err);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center min-h-screen">
+                <div className="text-gray-500">Loading settings...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-2xl mx-auto space-y-6">
+            {error && (
+                <div className="bg-red-50 text-red-500 p-3 rounded-lg text-sm">
+                    {error}
+                </div>
+            )}
+
+            {SECTIONS.map(section => (
+                <div key={section.key} className="bg-white border border-gray-200 rounded-lg">
+                    <div className="border-b border-gray-200 p-6">
+                        <h2 className="text-xl font-semibold">{section.title}</h2>
+                    </div>
+                    {lists[section.key].length === 0 ? (
+                        <p className="text-gray-400 text-sm text-center py-8">{section.empty}</p>
+                    ) : (
+                        lists[section.key].map(person => (
+                            <div key={person._id} className="flex items-center p-4 border-b border-gray-100 last:border-b-0">
+                                <img
+                                    src={person.profilePicture || 'https://via.placeholder.com/40'}
+                                    alt={person.username}
+                                    className="w-10 h-10 rounded-full object-cover"
+                                />
+                                {section.key === 'muted' ? (
+                                    <Link to={`/profile/${person._id}`} className="ml-3 flex-1 text-sm font-semibold truncate">
+                                        {person.username}
+                                    </Link>
+                                ) : (
+                                    <span className="ml-3 flex-1 text-sm font-semibold truncate">{person.username}</span>
+                                )}
+                                <button onClick={() => handleUndo(section, person)} className="btn-secondary text-xs">
+                                    {section.undo}
+                                </button>
+                            </div>
+                        ))
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default PrivacySettings;
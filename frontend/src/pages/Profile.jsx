@@ -1,21 +1,35 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, Link, useNavigate } from 'react-router-dom';
 import api from '../lib/api';
 import { useAuth } from '../context/AuthContext';
+import FollowListModal from '../components/FollowListModal.jsx';
+import SavedPosts from '../components/SavedPosts.jsx';
+import { useInfiniteList } from '../hooks/useInfiniteList';
 
 const Profile = () => {
     const { userId } = useParams();
     const { user: currentUser } = useAuth();
+    const navigate = useNavigate();
     const [profile, setProfile] = useState(null);
-    const [posts, setPosts] = useState([]);
-    const [followers, setFollowers] = useState([]);
-    const [following, setFollowing] = useState([]);
     const [isFollowing, setIsFollowing] = useState(false);
+    const [isRequested, setIsRequested] = useState(false);
+    const [isMuted, setIsMuted] = useState(false);
+    const [followRequestCount, setFollowRequestCount] = useState(0);
+    const [listModal, setListModal] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [activeTab, setActiveTab] = useState('posts');
 
     const isOwnProfile = currentUser?.id === userId;
+    // Saved posts are private, so the tab only exists on your own profile
+    const showSaved = isOwnProfile && activeTab === 'saved';
+    // Private accounts only expose their posts and lists to followers
+    const {
+        items: posts,
+        loading: postsLoading,
+        loadingMore: postsLoadingMore,
+        sentinelRef: postsSentinelRef
+    } = useInfiniteList(profile?.canViewContent ? `/users/${profile.id}/posts` : null);
 
     useEffect(() => {
         fetchProfileData();
@@ -24,23 +38,17 @@ const Profile = () => {
     const fetchProfileData = async () => {
         try {
             setLoading(true);
-            const [profileRes, postsRes, followersRes, followingRes] = await Promise.all([
-                api.get(`/users/${userId}`),
-                api.get(`/users/${userId}/posts`),
-                api.get(`/users/${userId}/followers`),
-                api.get(`/users/${userId}/following`)
-            ]);
-
-            setProfile(profileRes.data.user);
-            setPosts(postsRes.data.posts || []);
-            setFollowers(followersRes.data.followers || []);
-            setFollowing(followingRes.data.following || []);
-            
-            // Check if current user is following this profile
-            const isUserFollowing = followersRes.data.followers?.some(
-                f => f._id === currentUser?.id
-            );
-            setIsFollowing(isUserFollowing);
+            const profileRes = await api.get(`/users/${userId}`);
+            const profileData = profileRes.data.user;
+            setProfile(profileData);
+            setIsFollowing(profileData.isFollowing);
+            setIsRequested(profileData.isRequested);
+            setIsMuted(profileData.isMuted);
+
+            if (currentUser?.id === userId && profileData.isPrivate) {
+                const requestsRes = await api.get('/follow-requests');
+                setFollowRequestCount(requestsRes.data.requests?.length || 0);
+            }
         } catch (err) {
             setError('Failed to load profile. Please try again.');
             console.error('Error fetching profile:', err);
@@ -51,19 +59,80 @@ const Profile = () => {
 
     const handleFollow = async () => {
         try {
-            if (isFollowing) {
+            if (isFollowing || isRequested) {
                 await api.delete(`/users/${userId}/follow`);
-                setFollowers(followers.filter(f => f._id !== currentUser?.id));
+                if (isFollowing && profile.isPrivate) {
+                    // Losing access: reload into the locked state
+                    fetchProfileData();
+                    return;
+                }
+                changeFollowerCount(-1);
+                setIsFollowing(false);
+                setIsRequested(false);
             } else {
-                await api.post(`/users/${userId}/follow`);
-                setFollowers([...followers, { _id: currentUser?.id, username: currentUser?.username }]);
+                const response = await api.post(`/users/${userId}/follow`);
+                if (response.data.requested) {
+                    setIsRequested(true);
+                } else {
+                    changeFollowerCount(1);
+                    setIsFollowing(true);
+                }
             }
-            setIsFollowing(!isFollowing);
         } catch (err) {
             console.error('Error following/unfollowing:', err);
         }
     };
 
+    const changeFollowerCount = (delta) => {
+        setProfile(prev => ({ ...prev, followerCount: (prev.followerCount || 0) + delta }));
+    };
+
+    // Resolves to whether the follower was removed, so the list can drop them
+    const handleRemoveFollower = async (followerId) => {
+        try {
+            await api.delete(`/users/${followerId}/follower`);
+            changeFollowerCount(-1);
+            return true;
+        } catch (err) {
+            console.error('Error removing follower:', err);
+            return false;
+        }
+    };
+
+    const handleMute = async () => {
+        try {
+            if (isMuted) {
+                await api.delete(`/users/${userId}/mute`);
+            } else {
+                await api.post(`/users/${userId}/mute`);
+            }
+            setIsMuted(!isMuted);
+        } catch (err) {
+            console.error('Error muting/unmuting:', err);
+        }
+    };
+
+    const handleBlock = async () => {
+        if (!window.confirm(`Block ${profile?.username}? They won't be able to find your profile, posts or comments, and you'll unfollow each other.`)) {
+            return;
+        }
+        try {
+            await api.post(`/users/${userId}/block`);
+            navigate('/settings/privacy');
+        } catch (err) {
+            console.error('Error blocking user:', err);
+        }
+    };
+
+    const handleMessage = async () => {
+        try {
+            const response = await api.post('/conversations', { participantIds: [userId] });
+            navigate(`/direct/${response.data.conversation._id}`);
+        } catch (err) {
+            console.error('Error starting conversation:', err);
+        }
+    };
+
     if (loading) {
         return (
             <div className="flex justify-center items-center min-h-screen">
@@ -104,9 +173,24 @@ const Profile = () => {
                             {!isOwnProfile && (
                                 <button
                                     onClick={handleFollow}
-                                    className={isFollowing ? 'btn-secondary' : 'btn-primary'}
+                                    className={isFollowing || isRequested ? 'btn-secondary' : 'btn-primary'}
                                 >
-                                    {isFollowing ? 'Following' : 'Follow'}
+                                    {isFollowing ? 'Following' : isRequested ? 'Requested' : 'Follow'}
+                                </button>
+                            )}
+                            {!isOwnProfile && (
+                                <button onClick={handleMessage} className="btn-secondary">
+                                    Message
+                                </button>
+                            )}
+                            {!isOwnProfile && (
+                                <button onClick={handleMute} className="btn-secondary">
+                                    {isMuted ? 'Unmute' : 'Mute'}
+                                </button>
+                            )}
+                            {!isOwnProfile && (
+                                <button onClick={handleBlock} className="btn-secondary text-red-500">
+                                    Block
                                 </button>
                             )}
                             {isOwnProfile && (
@@ -114,25 +198,41 @@ const Profile = () => {
                                     Edit Profile
                                 </button>
                             )}
+                            {isOwnProfile && profile?.isPrivate && (
+                                <Link to="/follow-requests" className="btn-secondary">
+                                    Follow requests{followRequestCount > 0 ? ` (${followRequestCount})` : ''}
+                                </Link>
+                            )}
                         </div>
 
                         {/* Stats */}
                         <div className="flex justify-center md:justify-start gap-8 mb-4">
                             <div className="text-center">
-                                <span className="font-semibold">{posts.length}</span>
+                                <span className="font-semibold">{profile?.postCount || 0}</span>
                                 <span className="text-gray-500 ml-1">posts</span>
                             </div>
-                            <div className="text-center">
-                                <span className="font-semibold">{followers.length}</span>
+                            <button
+                                onClick={() => setListModal('followers')}
+                                disabled={!profile?.canViewContent}
+                                className="text-center"
+                            >
+                                <span className="font-semibold">{profile?.followerCount || 0}</span>
                                 <span className="text-gray-500 ml-1">followers</span>
-                            </div>
-                            <div className="text-center">
-                                <span className="font-semibold">{following.length}</span>
+                            </button>
+                            <button
+                                onClick={() => setListModal('following')}
+                                disabled={!profile?.canViewContent}
+                                className="text-center"
+                            >
+                                <span className="font-semibold">{profile?.followingCount || 0}</span>
                                 <span className="text-gray-500 ml-1">following</span>
-                            </div>
+                            </button>
                         </div>
 
                         {/* Bio */}
+                        {profile?.displayName && (
+                            <p className="text-sm font-semibold">{profile.displayName}</p>
+                        )}
                         {profile?.bio && (
                             <p className="text-sm">{profile.bio}</p>
                         )}
@@ -140,75 +240,129 @@ const Profile = () => {
                 </div>
             </div>
 
-            {/* Tabs */}
-            <div className="flex border-t border-gray-200 bg-white rounded-t-lg">
-                <button
-                    onClick={() => setActiveTab('posts')}
-                    className={`flex-1 py-4 text-sm font-semibold uppercase tracking-wide ${
-                        activeTab === 'posts'
-                            ? 'text-gray-900 border-t-2 border-gray-900 -mt-px'
-                            : 'text-gray-400'
-                    }`}
-                >
-                    <span className="flex items-center justify-center gap-2">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
-                        </svg>
-                        Posts
-                    </span>
-                </button>
-            </div>
+            {/* Private Account */}
+            {!profile?.canViewContent && (
+                <div className="bg-white border border-gray-200 rounded-lg p-12 text-center">
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                    <h2 className="font-semibold mb-1">This account is private</h2>
+                    <p className="text-sm text-gray-500">Follow this account to see their photos.</p>
+                </div>
+            )}
 
-            {/* Posts Grid */}
-            <div className="bg-white border border-gray-200 rounded-b-lg p-4">
-                {posts.length === 0 ? (
-                    <div className="text-center py-16">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mx-auto text-gray-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
-                        </svg>
-                        <h2 className="text-2xl font-light mb-2">No Posts Yet</h2>
+            {profile?.canViewContent && (
+                <>
+                    {/* Tabs */}
+                    <div className="flex border-t border-gray-200 bg-white rounded-t-lg">
+                        <button
+                            onClick={() => setActiveTab('posts')}
+                            className={`flex-1 py-4 text-sm font-semibold uppercase tracking-wide ${
+                                !showSaved
+                                    ? 'text-gray-900 border-t-2 border-gray-900 -mt-px'
+                                    : 'text-gray-400'
+                            }`}
+                        >
+                            <span className="flex items-center justify-center gap-2">
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
+                                </svg>
+                                Posts
+                            </span>
+                        </button>
                         {isOwnProfile && (
-                            <Link to="/create" className="text-blue-500 font-semibold">
-                                Share your first photo
-                            </Link>
+                            <button
+                                onClick={() => setActiveTab('saved')}
+                                className={`flex-1 py-4 text-sm font-semibold uppercase tracking-wide ${
+                                    showSaved
+                                        ? 'text-gray-900 border-t-2 border-gray-900 -mt-px'
+                                        : 'text-gray-400'
+                                }`}
+                            >
+                                <span className="flex items-center justify-center gap-2">
+                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                                    </svg>
+                                    Saved
+                                </span>
+                            </button>
                         )}
                     </div>
-                ) : (
-                    <div className="grid grid-cols-3 gap-1 md:gap-4">
-                        {posts.map(post => (
-                            <Link
-                                key={post._id}
-                                to={`/post/${post._id}`}
-                                className="relative aspect-square group"
-                            >
-                                <img
-                                    src={post.imageUrl}
-                                    alt="Post"
-                                    className="w-full h-full object-cover rounded"
-                                />
-                                {/* Hover Overlay */}
-                                <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-30 transition-all duration-200 flex items-center justify-center opacity-0 group-hover:opacity-100 rounded">
-                                    <div className="flex items-center gap-6 text-white font-semibold">
-                                        <span className="flex items-center gap-1">
-                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
-                                                <path fillRule="evenodd" d="M3.172 5.172a4 4 0 015.656 0L10 6.343l1.172-1.171a4 4 0 115.656 5.656L10 17.657l-6.828-6.829a4 4 0 010-5.656z" clipRule="evenodd" />
-                                            </svg>
-                                            {post.likes?.length || 0}
-                                        </span>
-                                        <span className="flex items-center gap-1">
-                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
-                                                <path fillRule="evenodd" d="M18 10c0 3.866-3.582 7-8 7a8.841 8.841 0 01-4.083-.98L2 17l1.338-3.123C2.493 12.767 2 11.434 2 10c0-3.866 3.582-7 8-7s8 3.134 8 7zM7 9H5v2h2V9zm8 0h-2v2h2V9zM9 9h2v2H9V9z" clipRule="evenodd" />
-                                            </svg>
-                                            {post.commentCount || 0}
-                                        </span>
-                                    </div>
-                                </div>
-                            </Link>
-                        ))}
+
+                    {/* Saved Posts */}
+                    {showSaved && (
+                        <div className="bg-white border border-gray-200 rounded-b-lg p-4">
+                            <SavedPosts />
+                        </div>
+                    )}
+
+                    {/* Posts Grid */}
+                    <div className={`bg-white border border-gray-200 rounded-b-lg p-4 ${showSaved ? 'hidden' : ''}`}>
+                        {postsLoading ? (
+                            <p className="text-gray-500 text-sm text-center py-16">Loading posts...</p>
+                        ) : posts.length === 0 ? (
+                            <div className="text-center py-16">
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-16 w-16 mx-auto text-gray-300 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
+                                </svg>
+                                <h2 className="text-2xl font-light mb-2">No Posts Yet</h2>
+                                {isOwnProfile && (
+                                    <Link to="/create" className="text-blue-500 font-semibold">
+                                        Share your first photo
+                                    </Link>
+                                )}
+                            </div>
+                        ) : (
+                            <div className="grid grid-cols-3 gap-1 md:gap-4">
+                                {posts.map(post => (
+                                    <Link
+                                        key={post._id}
+                                        to={`/post/${post._id}`}
+                                        className="relative aspect-square group"
+                                    >
+                                        <img
+                                            src={post.imageUrl}
+                                            alt="Post"
+                                            className="w-full h-full object-cover rounded"
+                                        />
+                                        {/* Hover Overlay */}
+                                        <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-30 transition-all duration-200 flex items-center justify-center opacity-0 group-hover:opacity-100 rounded">
+                                            <div className="flex items-center gap-6 text-white font-semibold">
+                                                <span className="flex items-center gap-1">
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+                                                        <path fillRule="evenodd" d="M3.172 5.172a4 4 0 015.656 0L10 6.343l1.172-1.171a4 4 0 115.656 5.656L10 17.657l-6.828-6.829a4 4 0 010-5.656z" clipRule="evenodd" />
+                                                    </svg>
+                                                    {post.likeCount || 0}
+                                                </span>
+                                                <span className="flex items-center gap-1">
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+                                                        <path fillRule="evenodd" d="M18 10c0 3.866-3.582 7-8 7a8.841 8.841 0 01-4.083-.98L2 17l1.338-3.123C2.493 12.767 2 11.434 2 10c0-3.866 3.582-7 8-7s8 3.134 8 7zM7 9H5v2h2V9zm8 0h-2v2h2V9zM9 9h2v2H9V9z" clipRule="evenodd" />
+                                                    </svg>
+                                                    {post.commentCount || 0}
+                                                </span>
+                                            </div>
+                                        </div>
+                                    </Link>
+                                ))}
+                            </div>
+                        )}
+                        <div ref={postsSentinelRef} />
+                        {postsLoadingMore && (
+                            <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
+                        )}
                     </div>
-                )}
-            </div>
+                </>
+            )}
+
+            {listModal && (
+                <FollowListModal
+                    title={listModal === 'followers' ? 'Followers' : 'Following'}
+                    url={`/users/${profile.id}/${listModal}`}
+                    onRemove={isOwnProfile && listModal === 'followers' ? handleRemoveFollower : null}
+                    onClose={() => setListModal(null)}
+                />
+            )}
         </div>
     );
 };
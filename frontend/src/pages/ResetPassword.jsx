@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import api from '../lib/api';
+
+const ResetPassword = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const [password, setPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        if (password !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setLoading(true);
+        try {
+            await api.post(`/auth/reset-password/${token}`, { password });
+            setSuccess('Your password has been reset. Redirecting to login...');
+            setTimeout(() => {
+                navigate('/login');
+            }, 1500);
+        } catch (err) {
+            setError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to reset password');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+            <div className="max-w-md w-full">
+                <div className="bg-white border border-gray-200 rounded-lg p-8 mb-4">
+                    <h1 className="text-xl font-semibold text-center mb-6">
+                        Create a new password
+                    </h1>
+
+                    {/* Error Message */}
+                    {error && (
+                        <div className="bg-red-50 text-red-500 p-3 rounded-lg mb-4 text-sm text-center">
+                            {error}
+                        </div>
+                    )}
+
+                    {/* Success Message */}
+                    {success && (
+                        <div className="bg-green-50 text-green-600 p-3 rounded-lg mb-4 text-sm text-center">
+                            {success}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <input
+                            type="password"
+                            placeholder="New password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className="input-field"
+                            minLength={8}
+                            required
+                        />
+                        <input
+                            type="password"
+                            placeholder="Confirm new password"
+                            value={confirmPassword}
+                            onChange={(e) => setConfirmPassword(e.target.value)}
+                            className="input-field"
+                            minLength={8}
+                            required
+                        />
+                        <button
+                            type="submit"
+                            disabled={loading || !password || !confirmPassword || !!success}
+                            className="btn-primary w-full py-2"
+                        >
+                            {loading ? 'Resetting...' : 'Reset Password'}
+                        </button>
+                    </form>
+                </div>
+
+                <div className="bg-white border border-gray-200 rounded-lg p-4 text-center">
+                    <Link to="/forgot-password" className="text-sm font-semibold">
+                        Request a new link
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
+import SearchResult from '../components/SearchResult.jsx';
+import { useInfiniteList } from '../hooks/useInfiniteList';
+
+const TABS = [
+    { key: 'all', label: 'Top' },
+    { key: 'users', label: 'Accounts' },
+    { key: 'hashtags', label: 'Tags' },
+    { key: 'posts', label: 'Posts' }
+];
+
+const resultKey = (result) => `${result.type}:${result.user?._id || result.hashtag?.name || result.post?._id}`;
+
+const Search = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const query = searchParams.get('q') || '';
+    const type = searchParams.get('type') || 'all';
+    const {
+        items: results,
+        loading,
+        loadingMore,
+        error,
+        sentinelRef
+    } = useInfiniteList(query.trim() ? '/search' : null, { q: query, type }, { getKey: resultKey });
+
+    const changeTab = (key) => {
+        setSearchParams(key === 'all' ? { q: query } : { q: query, type: key });
+    };
+
+    return (
+        <div className="max-w-2xl mx-auto">
+            <div className="bg-white border border-gray-200 rounded-lg">
+                <div className="border-b border-gray-200 p-4">
+                    <h1 className="text-xl font-semibold truncate">
+                        {query ? `Results for "${query}"` : 'Search'}
+                    </h1>
+                </div>
+
+                {/* Tabs */}
+                <div className="flex border-b border-gray-200">
+                    {TABS.map(tab => (
+                        <button
+                            key={tab.key}
+                            onClick={() => changeTab(tab.key)}
+                            className={`flex-1 py-3 text-sm font-semibold ${
+                                type === tab.key ? 'border-b-2 border-gray-900 text-gray-900' : 'text-gray-400'
+                            }`}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 text-red-500 p-3 m-4 rounded-lg text-sm">
+                        {error.response?.data?.message || 'Search failed. Please try again.'}
+                    </div>
+                )}
+
+                {loading ? (
+                    <p className="text-gray-500 text-sm text-center py-8">Searching...</p>
+                ) : results.length === 0 ? (
+                    <p className="text-gray-400 text-sm text-center py-16">
+                        {query ? 'No results found.' : 'Search for people, tags and posts.'}
+                    </p>
+                ) : (
+                    <div className="py-2">
+                        {results.map(result => (
+                            <SearchResult
+                                key={resultKey(result)}
+                                result={result}
+                            />
+                        ))}
+                    </div>
+                )}
+                <div ref={sentinelRef} />
+                {loadingMore && (
+                    <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Search;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorSettings from '../components/TwoFactorSettings.jsx';
+
+const BROWSERS = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+];
+
+const PLATFORMS = [
+    ['iPhone', 'iPhone'],
+    ['iPad', 'iPad'],
+    ['Android', 'Android'],
+    ['Windows', 'Windows'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+];
+
+// Good enough to tell devices apart; the raw user agent is shown as a tooltip
+const describeDevice = (userAgent = '') => {
+    const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+    const platform = PLATFORMS.find(([token]) => userAgent.includes(token))?.[1];
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || 'Unknown device';
+};
+
+const SecuritySettings = () => {
+    const { logout } = useAuth();
+    const navigate = useNavigate();
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [passwordData, setPasswordData] = useState({
+        currentPassword: '',
+        newPassword: '',
+        signOutOthers: true
+    });
+    const [passwordError, setPasswordError] = useState('');
+    const [passwordSuccess, setPasswordSuccess] = useState('');
+    const [savingPassword, setSavingPassword] = useState(false);
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const fetchSessions = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/sessions');
+            setSessions(response.data.sessions || []);
+        } catch (err) {
+            setError('Failed to load sessions.');
+            console.error('Error fetching sessions:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRevoke = async (session) => {
+        try {
+            await api.delete(`/sessions/${session._id}`);
+            if (session.current) {
+                await logout();
+                navigate('/login');
+                return;
+            }
+            setSessions(prev => prev.filter(s => s._id !== session._id));
+        } catch (err) {
+            console.error('Error revoking session:', err);
+        }
+    };
+
+    const handleRevokeOthers = async () => {
+        try {
+            await api.post('/sessions/revoke-others');
+            setSessions(prev => prev.filter(s => s.current));
+        } catch (err) {
+            console.error('Error revoking sessions:', err);
+        }
+    };
+
+    const handlePasswordChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setPasswordData({
+            ...passwordData,
+            [name]: type === 'checkbox' ? checked : value
+        });
+    };
+
+    const handlePasswordSubmit = async (e) => {
+        e.preventDefault();
+        setPasswordError('');
+        setPasswordSuccess('');
+        setSavingPassword(true);
+
+        try {
+            const response = await api.put('/auth/password', passwordData);
+            const { signedOut } = response.data;
+            setPasswordSuccess(signedOut > 0
+                ? `Password updated. Signed out of ${signedOut} other session${signedOut === 1 ? '' : 's'}.`
+                : 'Password updated.');
+            setPasswordData({ currentPassword: '', newPassword: '', signOutOthers: passwordData.signOutOthers });
+            fetchSessions();
+        } catch (err) {
+            setPasswordError(err.response?.data?.message || err.response?.data?.errors?.[0]?.msg || 'Failed to update password');
+        } finally {
+            setSavingPassword(false);
+        }
+    };
+
+    const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+    const otherSessions = sessions.filter(s => !s.current);
+
+    return (
+        <div className="max-w-2xl mx-auto space-y-6">
+            {/* Change Password */}
+            <div className="bg-white border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between border-b border-gray-200 p-6">
+                    <h1 className="text-xl font-semibold">Password</h1>
+                    <Link to="/edit-profile" className="text-blue-500 text-sm font-semibold">
+                        Edit profile
+                    </Link>
+                </div>
+                <form onSubmit={handlePasswordSubmit} className="p-6 space-y-4">
+                    {passwordSuccess && (
+                        <div className="bg-green-50 text-green-600 p-3 rounded-lg text-sm">
+                            {passwordSuccess}
+                        </div>
+                    )}
+                    {passwordError && (
+                        <div className="bg-red-50 text-red-500 p-3 rounded-lg text-sm">
+                            {passwordError}
+                        </div>
+                    )}
+                    <input
+                        type="password"
+                        name="currentPassword"
+                        placeholder="Current password"
+                        value={passwordData.currentPassword}
+                        onChange={handlePasswordChange}
+                        className="input-field"
+                        required
+                    />
+                    <input
+                        type="password"
+                        name="newPassword"
+                        placeholder="New password"
+                        value={passwordData.newPassword}
+                        onChange={handlePasswordChange}
+                        className="input-field"
+                        minLength={8}
+                        required
+                    />
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            name="signOutOthers"
+                            checked={passwordData.signOutOthers}
+                            onChange={handlePasswordChange}
+                            className="mr-2"
+                        />
+                        Sign out of all other devices
+                    </label>
+                    <button type="submit" disabled={savingPassword} className="btn-primary px-6">
+                        {savingPassword ? 'Saving...' : 'Change Password'}
+                    </button>
+                </form>
+            </div>
+
+            {/* Two-Factor Authentication */}
+            <TwoFactorSettings />
+
+            {/* Active Sessions */}
+            <div className="bg-white border border-gray-200 rounded-lg">
+                <div className="flex items-center justify-between border-b border-gray-200 p-6">
+                    <h2 className="text-xl font-semibold">Where you're logged in</h2>
+                    {otherSessions.length > 0 && (
+                        <button onClick={handleRevokeOthers} className="text-red-500 text-sm font-semibold">
+                            Log out all others
+                        </button>
+                    )}
+                </div>
+
+                {error && (
+                    <div className="bg-red-50 text-red-500 p-3 m-4 rounded-lg text-sm">
+                        {error}
+                    </div>
+                )}
+
+                {loading ? (
+                    <p className="text-gray-500 text-sm text-center py-8">Loading sessions...</p>
+                ) : (
+                    sessions.map(session => (
+                        <div key={session._id} className="flex items-center p-4 border-b border-gray-100 last:border-b-0">
+                            <div className="flex-1 min-w-0">
+                                <p className="text-sm font-semibold" title={session.userAgent}>
+                                    {describeDevice(session.userAgent)}
+                                    {session.current && (
+                                        <span className="ml-2 text-green-600 font-normal">This device</span>
+                                    )}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {session.ip || 'Unknown IP'} · Last active {formatDate(session.lastSeenAt)}
+                                </p>
+                                <p className="text-xs text-gray-400">
+                                    Signed in {formatDate(session.createdAt)}
+                                </p>
+                            </div>
+                            <button onClick={() => handleRevoke(session)} className="btn-secondary text-xs">
+                                Log out
+                            </button>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SecuritySettings;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import api from '../lib/api';
+
+const TABS = [
+    { key: 'top', label: 'Top posts' },
+    { key: 'recent', label: 'Most recent' }
+];
+
+const Tag = () => {
+    const { tag } = useParams();
+    const [sort, setSort] = useState('top');
+    const [posts, setPosts] = useState([]);
+    const [postCount, setPostCount] = useState(0);
+    const [isFollowing, setIsFollowing] = useState(false);
+    const [page, setPage] = useState(1);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchPosts = useCallback(async (pageToLoad, sortBy) => {
+        try {
+            setLoading(true);
+            setError('');
+            const response = await api.get(`/tags/${encodeURIComponent(tag)}`, {
+                params: { page: pageToLoad, sort: sortBy }
+            });
+            const items = response.data.posts || [];
+            setPosts(prev => pageToLoad === 1 ? items : [...prev, ...items]);
+            setPostCount(response.data.postCount);
+            setIsFollowing(response.data.isFollowing);
+            setHasMore(response.data.pagination?.hasMore);
+            setPage(pageToLoad);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load posts. Please try again.');
+            console.error('Error fetching tag:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [tag]);
+
+    // Each tag opens on its top posts
+    useEffect(() => {
+        setSort('top');
+        fetchPosts(1, 'top');
+    }, [fetchPosts]);
+
+    const changeSort = (sortBy) => {
+        setSort(sortBy);
+        fetchPosts(1, sortBy);
+    };
+
+    const handleFollow = async () => {
+        try {
+            if (isFollowing) {
+                await api.delete(`/tags/${encodeURIComponent(tag)}/follow`);
+            } else {
+                await api.post(`/tags/${encodeURIComponent(tag)}/follow`);
+            }
+            setIsFollowing(!isFollowing);
+        } catch (err) {
+            console.error('Error following hashtag:', err);
+        }
+    };
+
+    if (error) {
+        return (
+            <div className="flex flex-col justify-center items-center min-h-screen">
+                <p className="text-red-500 mb-4">{error}</p>
+                <button onClick={() => fetchPosts(1, sort)} className="btn-primary">
+                    Try Again
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-4xl mx-auto">
+            {/* Tag Header */}
+            <div className="flex items-center gap-6 mb-8 px-4">
+                <div className="w-20 h-20 md:w-36 md:h-36 rounded-full bg-gray-100 flex items-center justify-center text-4xl md:text-6xl text-gray-400">
+                    #
+                </div>
+                <div>
+                    <h1 className="text-2xl font-light mb-1">#{tag}</h1>
+                    <p className="text-sm mb-3">
+                        <span className="font-semibold">{postCount}</span> {postCount === 1 ? 'post' : 'posts'}
+                    </p>
+                    <button onClick={handleFollow} className={isFollowing ? 'btn-secondary' : 'btn-primary'}>
+                        {isFollowing ? 'Following' : 'Follow'}
+                    </button>
+                </div>
+            </div>
+
+            {/* Tabs */}
+            <div className="border-t border-gray-300 flex justify-center gap-12 mb-4">
+                {TABS.map(tab => (
+                    <button
+                        key={tab.key}
+                        onClick={() => changeSort(tab.key)}
+                        className={`py-4 text-xs font-semibold uppercase tracking-wider ${
+                            sort === tab.key ? 'border-t border-gray-900 -mt-px text-gray-900' : 'text-gray-400'
+                        }`}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+
+            {/* Posts Grid */}
+            {!loading && posts.length === 0 ? (
+                <p className="text-gray-500 text-center py-16">No posts with #{tag} yet.</p>
+            ) : (
+                <div className="grid grid-cols-3 gap-1 md:gap-4">
+                    {posts.map(post => (
+                        <Link
+                            key={post._id}
+                            to={`/post/${post._id}`}
+                            className="relative aspect-square group"
+                        >
+                            <img
+                                src={post.media?.[0]?.thumbnailUrl || post.imageUrl}
+                                alt={post.media?.[0]?.alt || 'Post'}
+                                className="w-full h-full object-cover"
+                            />
+                            <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-30 transition-all duration-200 flex items-center justify-center opacity-0 group-hover:opacity-100">
+                                <div className="flex items-center gap-6 text-white font-semibold">
+                                    <span className="flex items-center gap-1">
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+                                            <path fillRule="evenodd" d="M3.172 5.172a4 4 0 015.656 0L10 6.343l1.172-1.171a4 4 0 115.656 5.656L10 17.657l-6.828-6.829a4 4 0 010-5.656z" clipRule="evenodd" />
+                                        </svg>
+                                        {post.likeCount || 0}
+                                    </span>
+                                    <span className="flex items-center gap-1">
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+                                            <path fillRule="evenodd" d="M18 10c0 3.866-3.582 7-8 7a8.841 8.841 0 01-4.083-.98L2 17l1.338-3.123C2.493 12.767 2 11.434 2 10c0-3.866 3.582-7 8-7s8 3.134 8 7zM7 9H5v2h2V9zm8 0h-2v2h2V9zM9 9h2v2H9V9z" clipRule="evenodd" />
+                                        </svg>
+                                        {post.commentCount || 0}
+                                    </span>
+                                </div>
+                            </div>
+                        </Link>
+                    ))}
+                </div>
+            )}
+
+            {loading && (
+                <p className="text-gray-500 text-sm text-center py-4">Loading...</p>
+            )}
+
+            {hasMore && !loading && (
+                <div className="text-center p-4">
+                    <button onClick={() => fetchPosts(page + 1, sort)} className="text-blue-500 font-semibold text-sm">
+                        Load more
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Tag;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { getConversationTitle, getConversationAvatar } from '../lib/conversations';
+
+const Thread = () => {
+    const { conversationId } = useParams();
+    const navigate = useNavigate();
+    const { user } = useAuth();
+    const [conversation, setConversation] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [text, setText] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [sending, setSending] = useState(false);
+    const [error, setError] = useState('');
+    const bottomRef = useRef(null);
+
+    useEffect(() => {
+        const fetchThread = async () => {
+            try {
+                setLoading(true);
+                const [conversationRes, messagesRes] = await Promise.all([
+                    api.get(`/conversations/${conversationId}`),
+                    api.get(`/conversations/${conversationId}/messages`)
+                ]);
+                setConversation(conversationRes.data.conversation);
+                setMessages(messagesRes.data.messages || []);
+                setNextCursor(messagesRes.data.nextCursor);
+                api.post(`/conversations/${conversationId}/read`).catch(() => {});
+            } catch (err) {
+                setError('Failed to load conversation.');
+                console.error('Error fetching conversation:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchThread();
+    }, [conversationId]);
+
+    useEffect(() => {
+        if (!loadingOlder) {
+            bottomRef.current?.scrollIntoView({ block: 'end' });
+        }
+    }, [messages, loadingOlder]);
+
+    const handleLoadOlder = async () => {
+        if (!nextCursor) return;
+        setLoadingOlder(true);
+        try {
+            const response = await api.get(`/conversations/${conversationId}/messages`, {
+                params: { before: nextCursor }
+            });
+            setMessages(prev => [...(response.data.messages || []), ...prev]);
+            setNextCursor(response.data.nextCursor);
+        } catch (err) {
+            console.error('Error loading older messages:', err);
+        } finally {
+            setLoadingOlder(false);
+        }
+    };
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+
+        setSending(true);
+        try {
+            const response = await api.post(`/conversations/${conversationId}/messages`, { text: text.trim() });
+            setMessages(prev => [...prev, response.data.message]);
+            setText('');
+        } catch (err) {
+            console.error('Error sending message:', err);
+        } finally {
+            setSending(false);
+        }
+    };
+
+    // Read receipt for the latest message I sent
+    const receiptFor = (message) => {
+        const readers = (message.readBy || []).filter(r => (r.user?._id || r.user) !== user?.id);
+        if (readers.length === 0) return 'Sent';
+        if (!conversation?.isGroup) return 'Seen';
+        return `Seen by ${readers.length}`;
+    };
+
+    const lastOwnMessageId = [...messages].reverse().find(m => m.sender?._id === user?.id)?._id;
+
+    if (loading) {
+        return (
+            <div className="flex justify-center items-center min-h-screen">
+                <div className="text-gray-500">Loading conversation...</div>
+            </div>
+        );
+    }
+
+    if (error || !conversation) {
+        return (
+            <div className="flex flex-col justify-center items-center min-h-screen">
+                <p className="text-red-500 mb-4">{error || 'Conversation not found'}</p>
+                <button onClick={() => navigate('/direct')} className="btn-primary">
+                    Back to Messages
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-2xl mx-auto">
+            <div className="bg-white border border-gray-200 rounded-lg flex flex-col h-[75vh]">
+                {/* Header */}
+                <div className="flex items-center border-b border-gray-200 p-4">
+                    <Link to="/direct" className="text-gray-500 hover:text-gray-800 mr-4">
+                        ←
+                    </Link>
+                    <img
+                        src={getConversationAvatar(conversation, user?.id)}
+                        alt={getConversationTitle(conversation, user?.id)}
+                        className="w-8 h-8 rounded-full object-cover"
+                    />
+                    <div className="ml-3">
+                        <p className="font-semibold text-sm">{getConversationTitle(conversation, user?.id)}</p>
+                        {conversation.isGroup && (
+                            <p className="text-xs text-gray-500">{conversation.participants.length} members</p>
+                        )}
+                    </div>
+                </div>
+
+                {/* Messages */}
+                <div className="flex-1 overflow-y-auto p-4 space-y-2">
+                    {nextCursor && (
+                        <div className="text-center">
+                            <button
+                                onClick={handleLoadOlder}
+                                disabled={loadingOlder}
+                                className="text-blue-500 text-sm font-semibold"
+                            >
+                                {loadingOlder ? 'Loading...' : 'Load older messages'}
+                            </button>
+                        </div>
+                    )}
+                    {messages.map(message => {
+                        const isMine = message.sender?._id === user?.id;
+                        return (
+                            <div key={message._id} className={`flex flex-col ${isMine ? 'items-end' : 'items-start'}`}>
+                                {conversation.isGroup && !isMine && (
+                                    <span className="text-xs text-gray-500 mb-0.5">{message.sender?.username}</span>
+                                )}
+                                {message.post && (
+                                    <Link
+                                        to={`/post/${message.post._id}`}
+                                        className="block w-48 border border-gray-200 rounded-lg overflow-hidden mb-1"
+                                    >
+                                        <div className="flex items-center p-2">
+                                            <img
+                                                src={message.post.user?.profilePicture || 'https://via.placeholder.com/24'}
+                                                alt={message.post.user?.username}
+                                                className="w-6 h-6 rounded-full object-cover"
+                                            />
+                                            <span className="ml-2 text-xs font-semibold">{message.post.user?.username}</span>
+                                        </div>
+                                        <img
+                                            src={message.post.media?.[0]?.url || message.post.imageUrl}
+                                            alt={message.post.media?.[0]?.alt || 'Post'}
+                                            className="w-full h-48 object-cover"
+                                        />
+                                        {message.post.caption && (
+                                            <p className="text-xs p-2 truncate">{message.post.caption}</p>
+                                        )}
+                                    </Link>
+                                )}
+                                {message.post === null && !message.text && (
+                                    <p className="text-xs text-gray-400 italic">Post unavailable</p>
+                                )}
+                                {message.text && (
+                                    <p className={`max-w-xs px-3 py-2 rounded-2xl text-sm break-words ${
+                                        isMine ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-900'
+                                    }`}>
+                                        {message.text}
+                                    </p>
+                                )}
+                                {message._id === lastOwnMessageId && (
+                                    <span className="text-xs text-gray-400 mt-0.5">{receiptFor(message)}</span>
+                                )}
+                            </div>
+                        );
+                    })}
+                    <div ref={bottomRef} />
+                </div>
+
+                {/* Composer */}
+                <form onSubmit={handleSend} className="border-t border-gray-200 p-4 flex items-center">
+                    <input
+                        type="text"
+                        placeholder="Message..."
+                        value={text}
+                        onChange={(e) => setText(e.target.value)}
+                        className="flex-1 text-sm focus:outline-none"
+                        maxLength={2000}
+                    />
+                    <button
+                        type="submit"
+                        disabled={!text.trim() || sending}
+                        className="text-blue-500 font-semibold text-sm disabled:opacity-50"
+                    >
+                        Send
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default Thread;
@@ -0,0 +1,57 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import api from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+    const { token } = useParams();
+    const { isAuthenticated, updateUser, loading: authLoading } = useAuth();
+    const [status, setStatus] = useState('verifying');
+    const [message, setMessage] = useState('');
+    // Submit each token once, whatever else re-runs the effect
+    const submittedTokenRef = useRef(null);
+
+    useEffect(() => {
+        // Wait to know whether someone is logged in, so their copy of the user gets updated too
+        if (authLoading || submittedTokenRef.current === token) return;
+        submittedTokenRef.current = token;
+        const verify = async () => {
+            try {
+                const response = await api.post('/auth/verify-email', { token });
+                setStatus('verified');
+                setMessage(`${response.data.email} is now verified.`);
+                if (isAuthenticated) {
+                    updateUser({ email: response.data.email, emailVerified: true, pendingEmail: null });
+                }
+            } catch (err) {
+                setStatus('failed');
+                setMessage(err.response?.data?.message || 'Verification failed. Please try again.');
+            }
+        };
+        verify();
+    }, [token, authLoading, isAuthenticated, updateUser]);
+
+    return (
+        <div className="flex justify-center items-center min-h-screen">
+            <div className="bg-white border border-gray-200 rounded-lg p-8 max-w-md w-full text-center">
+                {status === 'verifying' ? (
+                    <p className="text-gray-500">Verifying your email...</p>
+                ) : (
+                    <>
+                        <h1 className="text-xl font-semibold mb-2">
+                            {status === 'verified' ? 'Email verified' : 'Link not valid'}
+                        </h1>
+                        <p className={`text-sm mb-6 ${status === 'verified' ? 'text-gray-600' : 'text-red-500'}`}>
+                            {message}
+                        </p>
+                        <Link to={isAuthenticated ? '/' : '/login'} className="btn-primary inline-block">
+                            {isAuthenticated ? 'Go to Feed' : 'Log In'}
+                        </Link>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmail;